@@ -15,6 +15,10 @@ module.exports = function(grunt) {
           'src/core/util.js',
           'src/core/communication.js',
           'src/core/event_emitter.js',
+          'src/core/worker_pool.js',
+          'src/core/distributed.js',
+          'src/core/expression.js',
+          'src/core/parallel.js',
           'src/core/coordinator.js',
           'src/core/mathworker.js',
           'src/core/vector.js',
@@ -19,7 +19,8 @@ MathWorkers.Batch = {};
  * @param {!Array.<MathWorkers.Vector>} vectors the array of Vectors
  * @param {!Array.<number>} coefficients the array of coefficients
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @function workerVectorLinearCombination
  * @memberof MathWorkers.Batch
  */
@@ -86,7 +87,8 @@ MathWorkers.Batch.workerVectorLinearCombination = function (vectors, coefficient
  * @param {!Array.<MathWorkers.Matrix>} matrices the array of Matrix objects
  * @param {!Array.<number>} coefficients the array of coefficients
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @function workerMatrixLinearCombination
  * @memberof MathWorkers.Batch
  */
@@ -138,7 +140,8 @@ MathWorkers.Batch.workerMatrixLinearCombination = function(matrices, coefficient
  * @param {!MathWorkers.Matrix} A the Matrix in the matrix-vector product
  * @param {!MathWorkers.Vector} x the Vector in the matrix-vector product
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @param {number} [beta] optional scalar to multiply Vector y by
  * @param {MathWorkers.Vector} [y] optional Vector to be scaled by beta and then added the the matrix-vector product.
  * @function workerMatrixVectorPlus
@@ -186,7 +189,8 @@ MathWorkers.Batch.workerMatrixLinearCombination = function(matrices, coefficient
  * @param {!MathWorkers.Matrix} A the left-side Matrix in the matrix-matrix product
  * @param {!MathWorkers.Matrix} B the right-side Matrix in the matrix-matrix product
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @param {number} [beta] the scalar to multiply the Matrix C by
  * @param {MathWorkers.Matrix} [C] the Matrix to be scaled by beta and then added to the matrix-matrix product
  * @function workerMatrixMatrixPlus
@@ -2,34 +2,136 @@
 
 /**
  *  A place for internal communication cross-compatibility between
- *  HTML5 web workers and node.js cluster workers
+ *  HTML5 web workers, node.js cluster workers and node.js worker threads
  */
 var comm = {};
 
+/**
+ * Detect the transport used by a worker to talk to its coordinator.
+ *
+ * @returns {string} "worker_threads" or "cluster" in node.js, "webworker" otherwise
+ */
+comm.detectWorkerTransport = function() {
+    if (!global.isNode) {
+        return "webworker";
+    }
+    return global.isNodeWorkerThread() ? "worker_threads" : "cluster";
+};
+
+/**
+ * Prepare an ArrayBuffer for message passing. Node.js cluster IPC only carries JSON,
+ * so there the buffer is converted to a base64 string. Other transports pass the buffer as is.
+ *
+ * @param {!ArrayBuffer} buf the buffer to be sent
+ * @param {string} [transport] the transport of the message, defaults to the transport of this worker
+ * @returns {ArrayBuffer|string} the buffer in a form suitable for the transport
+ */
+comm.encodeBuffer = function(buf, transport) {
+    return (transport || global.transport) === "cluster" ? MathWorkers.util.ab2base64(buf) : buf;
+};
+
+/**
+ * Recover an ArrayBuffer prepared by comm.encodeBuffer() from a received message.
+ *
+ * @param {ArrayBuffer|string} buf the received buffer
+ * @param {string} [transport] the transport of the message, defaults to the transport of this worker
+ * @returns {ArrayBuffer} the buffer
+ */
+comm.decodeBuffer = function(buf, transport) {
+    return (transport || global.transport) === "cluster" ? MathWorkers.util.base642ab(buf) : buf;
+};
+
+/**
+ * Check whether shared memory can be passed over the transport in use.
+ * Node.js cluster IPC cannot carry a SharedArrayBuffer.
+ *
+ * @param {string} [transport] the transport in use, defaults to the transport of this worker
+ * @returns {boolean} true if shared Vectors and Matrices can be sent without copying
+ */
+comm.supportsSharedMemory = function(transport) {
+    return typeof(SharedArrayBuffer) !== "undefined" && (transport || global.transport) !== "cluster";
+};
+
+/**
+ * Describe a shared Vector or Matrix for message passing. Only the SharedArrayBuffer
+ * and the layout of the object on it are sent, the data itself is never copied.
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} obj the shared Vector or Matrix
+ * @returns {Object} the descriptor of obj
+ */
+comm.sharedDescriptor = function(obj) {
+    if (obj instanceof MathWorkers.Matrix) {
+        return {buffer: obj.array[0].buffer, byteOffset: obj.array[0].byteOffset, nrows: obj.nrows, ncols: obj.ncols};
+    }
+    return {buffer: obj.array.buffer, byteOffset: obj.array.byteOffset, length: obj.length};
+};
+
+/**
+ * Recover a Vector or Matrix on shared memory from a descriptor made by comm.sharedDescriptor()
+ *
+ * @param {!Object} desc the received descriptor
+ * @returns {MathWorkers.Vector|MathWorkers.Matrix} the Vector or Matrix viewing the shared memory
+ */
+comm.fromSharedDescriptor = function(desc) {
+    if (MathWorkers.util.nullOrUndefined(desc.nrows)) {
+        var vec = new MathWorkers.Vector();
+        vec.setVector(new Float64Array(desc.buffer, desc.byteOffset, desc.length));
+        return vec;
+    }
+    var rowBytes = desc.ncols * Float64Array.BYTES_PER_ELEMENT;
+    var rows = new Array(desc.nrows);
+    for (var i = 0; i < desc.nrows; ++i) {
+        rows[i] = new Float64Array(desc.buffer, desc.byteOffset + i * rowBytes, desc.ncols);
+    }
+    var mat = new MathWorkers.Matrix();
+    mat.setMatrix(rows);
+    return mat;
+};
+
+/**
+ * Filter a list of buffers down to those that can be transferred.
+ * A SharedArrayBuffer is shared by the receiver rather than transferred.
+ *
+ * @param {Array} [buffer] list of buffers attached to a message
+ * @returns {Array} the transferable buffers
+ */
+comm.transferList = function(buffer) {
+    if (!buffer) {
+        return buffer;
+    }
+    return buffer.filter(function(buf) {
+        return buf instanceof ArrayBuffer;
+    });
+};
+
 comm.postMessage = function(message, buffer) {
+    // Tag every message with the coordinator request that caused it, and when the coordinator sent it
+    message.requestId = global.requestId;
+    message.requestTime = global.requestTime;
+    if (global.cancelledRequests[message.requestId]) {
+        return;
+    }
+    global.nPosted += 1;
+
     if (global.logLevel > 2) {
         console.log("Posting message: %j", message);
     }
 
-    if (global.isNode) {
+    if (global.transport === "cluster") {
         process.send({data: message});
+    } else if (global.transport === "worker_threads") {
+        require("worker_threads").parentPort.postMessage({data: message}, comm.transferList(buffer));
     } else {
-        self.postMessage(message, buffer);
-    }
-};
-
-comm.postMessageToWorker = function(workerIndex, message, buffer) {
-    var worker = global.getWorker(workerIndex);
-    if (global.isNode) {
-        worker.send({data: message});
-    } else {
-        worker.postMessage(message, buffer);
+        self.postMessage(message, comm.transferList(buffer));
     }
 };
 
 comm.setOnMessage = function(onmessageHandler) {
-    if (global.isNode) {
+    global.transport = comm.detectWorkerTransport();
+    if (global.transport === "cluster") {
         process.on("message", onmessageHandler);
+    } else if (global.transport === "worker_threads") {
+        require("worker_threads").parentPort.on("message", onmessageHandler);
     } else {
         self.onmessage = onmessageHandler;
     }
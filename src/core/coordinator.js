@@ -5,230 +5,1423 @@
  * Coordinates the pool of Workers for computations and message passing.
  *
  * @param {!number} nWorkersInput the number of Workers to spawn in the pool
- * @param {!string} workerScriptName the name of the script that the Workers are to execute
+ * @param {string} workerScriptName the name of the script that the Workers are to execute, or null to create
+ *                                  inline workers running only the library, whose callbacks are then
+ *                                  registered with register()
+ * @param {Object} [options] additional Coordinator options
+ * @param {string} [options.transport] node.js only: "cluster" (default) to spawn cluster worker processes, or
+ *                                     "worker_threads" to spawn worker threads within this process
+ * @param {boolean} [options.respawn] if true, replace workers that die with new workers of the same id
+ * @param {number} [options.logLevel] log level of the workers of this pool, defaults to the global log level
+ * @param {boolean} [options.unrollLoops] loop unrolling option of the workers of this pool, defaults to the
+ *                                        global option
+ * @param {string} [options.libraryUrl] browser inline workers only: URL of mathworkers.js to be imported by the
+ *                                      workers, defaults to the URL the page loaded it from
+ * @param {boolean} [options.deterministic] if true, the partial results of reductions are combined in the order of
+ *                                          the worker ids (or of the chunks, in dynamic scheduling mode) instead
+ *                                          of the order they arrive in, so that floating point results are the
+ *                                          same from run to run
+ * @param {boolean} [options.compensated] if true, sums are also combined with compensated summation, which
+ *                                        implies deterministic
  * @constructor
  * @mixes EventEmitter
  * @memberof MathWorkers
  */
-MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
+MathWorkers.Coordinator = function(nWorkersInput, workerScriptName, options) {
     var that = this;
+    options = options || {};
+
+    // Each Coordinator has its own event listeners
+    EventEmitter.call(this);
+
+    /**
+     * Buffer for data received from worker pool
+     *
+     * @member {Object}
+     * @private
+     */
+    var objectBuffer = {};
+
+    /**
+     * Message buffer for messages received from worker pool. Order of
+     * messages in array corresponds to the MathWorker id.
+     *
+     * @member {Array}
+     * @private
+     */
+    var messageDataBuffer = [];
+
+    /**
+     * Counter used to assign a unique id to each request sent to the worker pool
+     *
+     * @member {number}
+     * @private
+     */
+    var requestCounter = 0;
+
+    /**
+     * Promise callbacks of requests made with run(), keyed by request id
+     *
+     * @member {Object}
+     * @private
+     */
+    var pendingRequests = {};
+
+    /**
+     * Timers of requests sent with a timeout, keyed by request id
+     *
+     * @member {Object}
+     * @private
+     */
+    var requestTimers = {};
+
+    /**
+     * True once terminate() has been called
+     *
+     * @member {boolean}
+     * @private
+     */
+    var terminated = false;
+
+    /**
+     * True when all spawned workers have reported that they are ready. False otherwise.
+     *
+     * @member {boolean}
+     */
+    this.ready = false;
+
+    /**
+     * Once all workers in the pool report that they are ready, execute the callback.
+     *
+     * @param {function} callBack callback function to be executed
+     */
+    this.onReady = function(callBack) {
+        that.on("_ready", callBack);
+    };
+
+    /**
+     * Fetches the object buffer contents.
+     * After a message from one or more workers is received, the object
+     * buffer is typically populated with data. The buffer is overwritten by the next message, so
+     * listeners of tag events should rather use the result passed to them as argument.
+     *
+     * @returns {Object}
+     */
+    this.getBuffer = function() {
+        return objectBuffer;
+    };
+
+    /**
+     * Fetches the message data list contents.
+     * After a message from one or more workers is received, the object
+     * buffer is usually populated with data.
+     *
+     * @returns {Array}
+     */
+    this.getMessageDataList = function() {
+        return messageDataBuffer;
+    };
+
+    /**
+     * Cause an event registered by the MathWorker pool to execute.
+     * When the workers complete a gather, reduction or data send, the Coordinator emits its tag event.
+     * The listeners receive the result (a Vector, a Matrix, a number, or the list of data sent by each worker)
+     * and {tag, requestId, duration, nWorkers} metadata: the time in milliseconds from sending the request to
+     * completing the operation, and the number of workers in the pool.
+     *
+     * @param {!string} tag the unique label for the event being triggered
+     * @param {Array} [args] an array of arguments to be passed to the callback to be executed
+     * @param {Object} [options] additional request options
+     * @param {(MathWorkers.Vector|MathWorkers.Matrix)} [options.output] a shared Vector or Matrix into which the
+     *        workers write their parts of a gathered result in place, instead of sending them in messages
+     * @param {number} [options.timeout] time in milliseconds after which the request fails if the workers
+     *        have not completed it. The error lists the ids of the workers that never reported.
+     * @param {string} [options.schedule] "static" (default) to split the work of worker operations once among
+     *        the workers, or "dynamic" to split it into chunks handed out to the workers as they become idle.
+     *        In dynamic mode, the callback is executed once per chunk, so it must not depend on which worker
+     *        executes it, and each chunk's gather or reduction is combined into the result.
+     * @param {number} [options.chunks] number of chunks in dynamic mode, a positive integer, default 4 per worker
+     * @returns {number} the id of the request sent to the workers. The request fails if a worker dies before
+     *          handling it.
+     */
+    this.trigger = function(tag, args, options) {
+        options = options || {};
+        var requestId = nextRequestId();
+        var message = {handle: "_trigger", tag: tag, args: args, requestId: requestId,
+            requestTime: MathWorkers.util.now()};
+        if (options.output) {
+            if (!(options.output.isShared() && comm.supportsSharedMemory(pool.transport))) {
+                throw new Error("Request output must be a shared Vector or Matrix on a transport supporting shared memory.");
+            }
+            message.output = comm.sharedDescriptor(options.output);
+        }
+        var wk;
+        if (options.schedule === "dynamic") {
+            var nChunks = MathWorkers.util.nullOrUndefined(options.chunks) ? 4 * pool.nWorkers : options.chunks;
+            MathWorkers.util.checkNumber(nChunks);
+            if (nChunks < 1 || nChunks !== Math.floor(nChunks)) {
+                throw new Error("Invalid number of chunks: " + nChunks);
+            }
+            schedules[requestId] = {message: message, nChunks: nChunks, nextChunk: 0};
+            for (wk = 0; wk < pool.nWorkers; ++wk) {
+                sendChunk(requestId, wk);
+            }
+        } else {
+            for (wk = 0; wk < pool.nWorkers; ++wk) {
+                pool.postMessage(wk, message);
+            }
+        }
+        var unacknowledged = {};
+        for (wk = 0; wk < pool.nWorkers; ++wk) {
+            unacknowledged[wk] = true;
+        }
+        triggeredRequests[requestId] = unacknowledged;
+        if (options.timeout) {
+            requestTimers[requestId] = setTimeout(function() {
+                timeoutRequest(requestId, tag, options.timeout);
+            }, options.timeout);
+        }
+        return requestId;
+    };
+
+    /**
+     * Cause an event registered by the MathWorker pool to execute and obtain its result as a Promise.
+     * The Promise is resolved with the result of the first gather, reduction or data send that the
+     * workers complete for this request: a Vector, a Matrix, a number, or the list of data sent by
+     * each worker.
+     *
+     * @param {!string} tag the unique label for the event being triggered
+     * @param {Array} [args] an array of arguments to be passed to the callback to be executed
+     * @param {Object} [options] additional request options, as for trigger()
+     * @returns {Promise} resolved with the result of the request, rejected if the request fails. Errors of a
+     *                    request made with run() reject its Promise instead of emitting the "error" event.
+     *                    The requestId property of the Promise holds the id of the request, for cancel().
+     */
+    this.run = function(tag, args, options) {
+        MathWorkers.util.checkPromiseSupport();
+        var requestId;
+        var promise = new Promise(function(resolve, reject) {
+            requestId = that.trigger(tag, args, options);
+            pendingRequests[requestId] = {requestId: requestId, resolve: resolve, reject: reject};
+        });
+        promise.requestId = requestId;
+        return promise;
+    };
+
+    /**
+     * Cancel a request. The workers drop the work still queued for it and stop posting results for it,
+     * and any of its messages still arriving are discarded. The Promise of a request made with run()
+     * is rejected with an Error whose cancelled property is true.
+     *
+     * @param {!number} requestId the id of the request, as returned by trigger() or held by the Promise of run()
+     */
+    this.cancel = function(requestId) {
+        if (terminated) {
+            return;
+        }
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            pool.postMessage(wk, {handle: "_cancel", requestId: requestId});
+        }
+        closeRequest(requestId);
+        var pending = pendingRequests[requestId];
+        if (pending) {
+            delete pendingRequests[requestId];
+            var err = new Error("Request " + requestId + " was cancelled.");
+            err.requestId = requestId;
+            err.cancelled = true;
+            pending.reject(err);
+        }
+    };
+
+    /**
+     * Broadcasts data to all workers
+     *
+     * @param {Object} data JSON-serializable data to be sent
+     * @param {!string} tag message tag
+     * @param {Object} [options] additional broadcast options
+     * @param {string} [options.name] name under which the workers store the data, see MathWorker.get(). A worker
+     *        listener for the tag is then optional.
+     * @returns {number} the id of the request sent to the workers
+     */
+    this.sendDataToWorkers = function(data, tag, options) {
+        options = options || {};
+        var requestId = nextRequestId();
+        var requestTime = MathWorkers.util.now();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            pool.postMessage(wk, {handle: "_broadcastData", tag: tag, data: data, name: options.name,
+                requestId: requestId, requestTime: requestTime});
+        }
+        return requestId;
+    };
+
+    /**
+     * Broadcast a Vector to all workers. A shared Vector is not copied: the workers read it in place.
+     *
+     * @param {!MathWorkers.Vector} vec Vector to be sent
+     * @param {!string} tag message tag
+     * @param {Object} [options] additional broadcast options
+     * @param {string} [options.name] name under which the workers store the Vector, see MathWorker.get(). A worker
+     *        listener for the tag is then optional.
+     * @returns {number} the id of the request sent to the workers
+     */
+    this.sendVectorToWorkers = function(vec, tag, options) {
+        options = options || {};
+        var requestId = nextRequestId();
+        var requestTime = MathWorkers.util.now();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            postVector(wk, vec, {tag: tag, name: options.name, requestId: requestId, requestTime: requestTime});
+        }
+        return requestId;
+    };
+
+    /**
+     * Broadcast a Matrix to all workers. A shared Matrix is not copied: the workers read it in place.
+     *
+     * @param {!MathWorkers.Matrix} mat Matrix to be sent
+     * @param {!string} tag message tag
+     * @param {Object} [options] additional broadcast options
+     * @param {string} [options.name] name under which the workers store the Matrix, see MathWorker.get(). A worker
+     *        listener for the tag is then optional.
+     * @returns {number} the id of the request sent to the workers
+     */
+    this.sendMatrixToWorkers = function(mat, tag, options) {
+        options = options || {};
+        var requestId = nextRequestId();
+        var requestTime = MathWorkers.util.now();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            postMatrix(wk, mat, {tag: tag, name: options.name, requestId: requestId, requestTime: requestTime});
+        }
+        return requestId;
+    };
+
+    /**
+     * Send data, a Vector or a Matrix to a single worker, for instance to exchange the boundary values
+     * of neighboring partitions. The worker's callbacks for the tag receive the data, as for a broadcast,
+     * and {from: null} metadata, from being the id of the sending worker for data sent by another worker
+     * with MathWorker.sendToWorker(). A shared Vector or Matrix is not copied: the worker reads it in place.
+     *
+     * @param {!number} workerId the id of the receiving worker
+     * @param {(Object|MathWorkers.Vector|MathWorkers.Matrix)} data JSON-serializable data, a Vector or a Matrix
+     * @param {!string} tag message tag
+     * @param {Object} [options] additional options
+     * @param {string} [options.name] name under which the worker stores the data, see MathWorker.get(). A worker
+     *        listener for the tag is then optional.
+     * @returns {number} the id of the request sent to the worker
+     */
+    this.sendToWorker = function(workerId, data, tag, options) {
+        options = options || {};
+        checkWorkerId(workerId);
+        MathWorkers.util.checkNullOrUndefined(tag);
+        var message = {tag: tag, name: options.name, from: null, requestId: nextRequestId(),
+            requestTime: MathWorkers.util.now()};
+        if (data instanceof MathWorkers.Vector) {
+            postVector(workerId, data, message);
+        } else if (data instanceof MathWorkers.Matrix) {
+            postMatrix(workerId, data, message);
+        } else {
+            message.handle = "_broadcastData";
+            message.data = data;
+            pool.postMessage(workerId, message);
+        }
+        return message.requestId;
+    };
+
+    /**
+     * Free data stored by the workers under a name
+     *
+     * @param {!string} name the name of the data, as given when it was sent or rebroadcast
+     */
+    this.removeFromWorkers = function(name) {
+        MathWorkers.util.checkNullOrUndefined(name);
+        var requestId = nextRequestId();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            pool.postMessage(wk, {handle: "_remove", name: name, requestId: requestId});
+        }
+    };
+
+    /**
+     * Send each worker only its partition of a Vector, the range it handles in worker operations
+     * (see MathWorkers.util.loadBalance). The workers' callbacks for the tag receive the partition
+     * as a Vector, and {offset, length} metadata: the offset of the partition and the length of vec.
+     *
+     * @param {!MathWorkers.Vector} vec Vector to be scattered
+     * @param {!string} tag message tag
+     * @returns {number} the id of the request sent to the workers
+     */
+    this.scatterVector = function(vec, tag) {
+        MathWorkers.util.checkVector(vec);
+        MathWorkers.util.checkNullOrUndefined(tag);
+        var requestId = nextRequestId();
+        var requestTime = MathWorkers.util.now();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            var lb = partitionFor(vec.length, wk);
+            var buf = comm.encodeBuffer(new Float64Array(vec.array.subarray(lb.ifrom, lb.ito)).buffer, pool.transport);
+            pool.postMessage(wk, {handle: "_scatterVector", tag: tag, vec: buf, offset: lb.ifrom,
+                length: vec.length, requestId: requestId, requestTime: requestTime}, [buf]);
+        }
+        return requestId;
+    };
+
+    /**
+     * Send each worker only its partition of the rows of a Matrix, the rows it handles in worker operations
+     * (see MathWorkers.util.loadBalance). The workers' callbacks for the tag receive the rows as a Matrix,
+     * and {offset, nrows, ncols} metadata: the row offset of the partition and the size of mat.
+     *
+     * @param {!MathWorkers.Matrix} mat Matrix to be scattered
+     * @param {!string} tag message tag
+     * @returns {number} the id of the request sent to the workers
+     */
+    this.scatterMatrixRows = function(mat, tag) {
+        MathWorkers.util.checkMatrix(mat);
+        MathWorkers.util.checkNullOrUndefined(tag);
+        var requestId = nextRequestId();
+        var requestTime = MathWorkers.util.now();
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            var lb = partitionFor(mat.nrows, wk);
+            var matObject = {handle: "_scatterMatrixRows", tag: tag, offset: lb.ifrom, nrowsPart: lb.ito - lb.ifrom,
+                nrows: mat.nrows, ncols: mat.ncols, requestId: requestId, requestTime: requestTime};
+            var matBufferList = [];
+            for (var i = lb.ifrom; i < lb.ito; ++i) {
+                matObject[i - lb.ifrom] = comm.encodeBuffer(new Float64Array(mat.array[i]).buffer, pool.transport);
+                matBufferList.push(matObject[i - lb.ifrom]);
+            }
+            pool.postMessage(wk, matObject, matBufferList);
+        }
+        return requestId;
+    };
+
+    /**
+     * Partition a Vector among the workers, where it stays resident for distributed operations.
+     *
+     * @param {!MathWorkers.Vector} vec the Vector to be distributed
+     * @returns {MathWorkers.DistributedVector} the distributed Vector
+     */
+    this.distributeVector = function(vec) {
+        MathWorkers.util.checkVector(vec);
+        var handle = distributedChannel.newHandle();
+        var requestId = nextRequestId();
+        var partitions = [];
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            var lb = partitionFor(vec.length, wk);
+            partitions.push(lb);
+            var buf = comm.encodeBuffer(new Float64Array(vec.array.subarray(lb.ifrom, lb.ito)).buffer, pool.transport);
+            pool.postMessage(wk, {handle: "_distributed", op: "createVector", out: handle, vec: buf,
+                offset: lb.ifrom, length: vec.length, requestId: requestId}, [buf]);
+        }
+        return new MathWorkers.DistributedVector(distributedChannel, handle, vec.length, partitions);
+    };
+
+    /**
+     * Partition the rows of a Matrix among the workers, where they stay resident for distributed operations.
+     *
+     * @param {!MathWorkers.Matrix} mat the Matrix to be distributed
+     * @returns {MathWorkers.DistributedMatrix} the distributed Matrix
+     */
+    this.distributeMatrix = function(mat) {
+        MathWorkers.util.checkMatrix(mat);
+        var handle = distributedChannel.newHandle();
+        var requestId = nextRequestId();
+        var partitions = [];
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            var lb = partitionFor(mat.nrows, wk);
+            partitions.push(lb);
+            var matObject = {handle: "_distributed", op: "createMatrix", out: handle, offset: lb.ifrom,
+                nrowsPart: lb.ito - lb.ifrom, nrows: mat.nrows, ncols: mat.ncols, requestId: requestId};
+            var matBufferList = [];
+            for (var i = lb.ifrom; i < lb.ito; ++i) {
+                matObject[i - lb.ifrom] = comm.encodeBuffer(new Float64Array(mat.array[i]).buffer, pool.transport);
+                matBufferList.push(matObject[i - lb.ifrom]);
+            }
+            pool.postMessage(wk, matObject, matBufferList);
+        }
+        return new MathWorkers.DistributedMatrix(distributedChannel, handle, mat.nrows, mat.ncols, partitions);
+    };
+
+    /**
+     * Change the number of workers in the pool between requests. Workers are added or retired, and every
+     * worker is told the new pool size and its id, so that subsequent worker operations are balanced
+     * over the new pool. Requests in flight would lose the work of retired workers, so resizing fails until they
+     * complete. New requests may be sent right away: workers handle them after the resize.
+     *
+     * @param {!number} n the new number of workers
+     * @returns {Promise} resolved with the new number of workers once all of them are ready, rejected if the
+     *                    Coordinator is terminated before
+     */
+    this.resize = function(n) {
+        MathWorkers.util.checkPromiseSupport();
+        MathWorkers.util.checkNumber(n);
+        if (terminated) {
+            throw new Error("Coordinator has been terminated.");
+        }
+        if (n < 1 || n !== Math.floor(n)) {
+            throw new Error("Invalid number of workers: " + n);
+        }
+        if (Object.keys(operations).length > 0 || Object.keys(pendingRequests).length > 0 ||
+                Object.keys(triggeredRequests).length > 0 || Object.keys(schedules).length > 0) {
+            throw new Error("Cannot resize the worker pool while requests are in flight.");
+        }
+        return new Promise(function(resolve, reject) {
+            that.ready = false;
+            nWorkersReady = 0;
+            resizing = {resolve: resolve, reject: reject};
+            pool.resize(n);
+            messageDataBuffer = [];
+            for (var wk = 0; wk < n; ++wk) {
+                messageDataBuffer.push({});
+            }
+        });
+    };
+
+    /**
+     * Register a worker-side callback for a tag on every worker, as MathWorker.on() does from a worker script.
+     * The function is shipped to the workers as source code, so it must not use variables from its enclosing
+     * scope: it sees its arguments, the MathWorkers namespace and the MathWorker running it as worker.
+     * Workers spawned later, by respawn or resize(), are registered too.
+     *
+     * @example
+     * coord.register("dot", function(args) {
+     *     var v = MathWorkers.Vector.fromArray(args[0]);
+     *     var w = MathWorkers.Vector.fromArray(args[1]);
+     *     v.workerDotVector(w, "dot");
+     * });
+     *
+     * @param {!string} tag the unique label of the event
+     * @param {function} callback the callback to be executed by the workers when the event is triggered
+     */
+    this.register = function(tag, callback) {
+        MathWorkers.util.checkNullOrUndefined(tag);
+        MathWorkers.util.checkFunction(callback);
+        pool.register(tag, callback.toString());
+    };
+
+    /**
+     * Register a combiner for reductions requested by workers with MathWorker.reduce(value, name, tag),
+     * or applied element-wise by MathWorker.reduceVector() and MathWorker.reduceMatrix().
+     * The combiner must be associative and commutative, since worker results arrive in any order.
+     *
+     * @param {!string} name the name of the reduction
+     * @param {function} combine combines two partial results into one: combine(a, b)
+     */
+    this.registerReduction = function(name, combine) {
+        MathWorkers.util.checkNullOrUndefined(name);
+        MathWorkers.util.checkFunction(combine);
+        reductions[name] = combine;
+    };
+
+    /**
+     * Set the relative speeds of the workers. Worker operations then divide their work among the workers
+     * in proportion to these weights instead of evenly. The weights are cleared when the pool is resized.
+     *
+     * @param {Array.<number>} weights a positive weight for each worker, indexed by worker id,
+     *                                 or null to divide work evenly again
+     */
+    this.setWorkerWeights = function(weights) {
+        if (weights !== null) {
+            MathWorkers.util.checkArray(weights);
+            if (weights.length !== pool.nWorkers) {
+                throw new Error("Expected one weight for each of the " + pool.nWorkers + " workers.");
+            }
+            weights.forEach(function(weight) {
+                if (typeof weight !== "number" || isNaN(weight) || weight <= 0) {
+                    throw new Error("Worker weights must be positive numbers.");
+                }
+            });
+        }
+        pool.weights = weights;
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            pool.postMessage(wk, {handle: "_weights", weights: weights});
+        }
+    };
+
+    /**
+     * Fetch the relative speeds of the workers used for load balancing
+     *
+     * @returns {Array.<number>} the weight of each worker, or null if work is divided evenly
+     */
+    this.getWorkerWeights = function() {
+        return pool.weights;
+    };
+
+    /**
+     * Calibrate the load balancing. Each worker is timed on a small kernel of repeated dot products,
+     * and the worker weights are set in proportion to the measured speeds (see setWorkerWeights()).
+     *
+     * @param {Object} [options] calibration options
+     * @param {number} [options.size] length of the Vectors of the kernel, default 10000
+     * @param {number} [options.repeat] number of times the kernel is repeated, default 100
+     * @returns {Promise} resolved with the worker weights, which sum to 1
+     */
+    this.calibrate = function(options) {
+        MathWorkers.util.checkPromiseSupport();
+        options = options || {};
+        var requestId = nextRequestId();
+        var message = {
+            handle: "_calibrate", requestId: requestId,
+            size: options.size || 10000, repeat: options.repeat || 100
+        };
+        return new Promise(function(resolve, reject) {
+            pendingRequests[requestId] = {requestId: requestId, resolve: resolve, reject: reject};
+            for (var wk = 0; wk < pool.nWorkers; ++wk) {
+                pool.postMessage(wk, message);
+            }
+        });
+    };
+
+    /**
+     * Terminate the workers of the pool, whatever their transport. Pending requests, and a resize in progress,
+     * are rejected with an Error whose terminated property is true, and all event listeners are removed. The Coordinator cannot
+     * be used afterward, a new one must be created instead.
+     */
+    this.terminate = function() {
+        if (terminated) {
+            return;
+        }
+        terminated = true;
+        that.ready = false;
+        pool.close();
+        for (var requestId in pendingRequests) {
+            if (pendingRequests.hasOwnProperty(requestId)) {
+                var err = new Error("Coordinator was terminated before completing request " + requestId + ".");
+                err.requestId = pendingRequests[requestId].requestId;
+                err.terminated = true;
+                pendingRequests[requestId].reject(err);
+            }
+        }
+        if (resizing) {
+            var resizeErr = new Error("Coordinator was terminated before completing the resize of its pool.");
+            resizeErr.terminated = true;
+            resizing.reject(resizeErr);
+            resizing = null;
+        }
+        for (var timer in requestTimers) {
+            if (requestTimers.hasOwnProperty(timer)) {
+                clearTimeout(requestTimers[timer]);
+            }
+        }
+        pendingRequests = {};
+        requestTimers = {};
+        operations = {};
+        schedules = {};
+        triggeredRequests = {};
+        that.removeAllListeners();
+    };
+
+    /**
+     * Disconnect the coordinator from its workers. Same as terminate().
+     */
+    this.disconnect = function() {
+        that.terminate();
+    };
+
+    /**
+     * The onmessage router for all workers.
+     * Routes the event appropriately based on the message handle.
+     *
+     * @param event {Object} web worker event from message passing
+     * @private
+     */
+    var onmessageHandler = function(event) {
+        var data = event.data || event;
+        if (terminated) {
+            return;
+        }
+        if (closedRequests[data.requestId] || isExpiredRequest(data.requestId)) {
+            // Late message for a request that has already failed or expired
+            return;
+        }
+        acknowledgeRequest(data);
+        switch (data.handle) {
+            case "_workerReady":
+                handleWorkerReady();
+                break;
+            case "_sendData":
+                handleSendData(data);
+                break;
+            case "_sendToWorker":
+                handleSendToWorker(data);
+                break;
+            case "_vectorSendToCoordinator":
+                handleVectorSendToCoordinator(data);
+                break;
+            case "_gatherVector":
+                handleGatherVector(data);
+                break;
+            case "_matrixSendToCoordinator":
+                handleMatrixSendToCoordinator(data);
+                break;
+            case "_gatherMatrixRows":
+                handleGatherMatrixRows(data);
+                break;
+            case "_gatherMatrixColumns":
+                handleGatherMatrixColumns(data);
+                break;
+            case "_reduce":
+                handleReduce(data);
+                break;
+            case "_reduceVector":
+                handleReduceVector(data);
+                break;
+            case "_reduceMatrix":
+                handleReduceMatrix(data);
+                break;
+            case "_chunkDone":
+                handleChunkDone(data);
+                break;
+            case "_triggerDone":
+                // Only acknowledges the request
+                break;
+            case "_calibrated":
+                handleCalibrated(data);
+                break;
+            case "_error":
+                handleError(data);
+                break;
+            default:
+                console.error("Invalid Coordinator handle: " + data);
+        }
+    };
+
+    /**
+     * Number of workers that have reported ready
+     *
+     * @member {number}
+     * @private
+     */
+    var nWorkersReady = 0;
+
+    /**
+     * Resize in progress, waiting for the workers to report ready
+     *
+     * @member {Object}
+     * @private
+     */
+    var resizing = null;
+
+    /**
+     * State of the collective operations (gathers, reductions, data sends) currently in flight,
+     * keyed by the request id and tag carried in the worker messages. This allows several
+     * operations to be outstanding at once without corrupting each other.
+     *
+     * @member {Object}
+     * @private
+     */
+    var operations = {};
+
+    /**
+     * Combiners of the reductions workers can request with MathWorker.reduce(), keyed by name.
+     * Each combines two partial results into one. Argmin and argmax combine {value, index} pairs,
+     * preferring the lower index on ties so that the result does not depend on the order of reports.
+     *
+     * @member {Object}
+     * @private
+     */
+    var reductions = {
+        sum: function(a, b) { return a + b; },
+        product: function(a, b) { return a * b; },
+        min: function(a, b) { return Math.min(a, b); },
+        max: function(a, b) { return Math.max(a, b); },
+        argmin: function(a, b) {
+            return (b.value < a.value || (b.value === a.value && b.index < a.index)) ? b : a;
+        },
+        argmax: function(a, b) {
+            return (b.value > a.value || (b.value === a.value && b.index < a.index)) ? b : a;
+        },
+        and: function(a, b) { return a && b; },
+        or: function(a, b) { return a || b; }
+    };
+
+    /**
+     * Whether the partial results of reductions are combined in a fixed order
+     *
+     * @member {boolean}
+     * @private
+     */
+    var deterministic = Boolean(options.deterministic || options.compensated);
+
+    /**
+     * Whether sums are combined with compensated summation
+     *
+     * @member {boolean}
+     * @private
+     */
+    var compensated = Boolean(options.compensated);
+
+    /**
+     * Chunk schedules of requests sent in dynamic scheduling mode, keyed by request id
+     *
+     * @member {Object}
+     * @private
+     */
+    var schedules = {};
+
+    /**
+     * Ids of requests that have failed, among the global.requestWindow most recent requests. Late worker
+     * messages for these requests are discarded. Older requests are no longer recorded, see isExpiredRequest().
+     *
+     * @member {Object}
+     * @private
+     */
+    var closedRequests = {};
+
+    /**
+     * Check whether a request is older than the global.requestWindow most recent requests and no longer
+     * in flight. Late worker messages for such a request are discarded, whether it failed or not, so that
+     * they cannot start an operation that never completes.
+     *
+     * @param {number} requestId the id of the request
+     * @returns {boolean} true if the request has expired
+     * @private
+     */
+    var isExpiredRequest = function(requestId) {
+        if (typeof requestId !== "number" || requestId > requestCounter - global.requestWindow) {
+            return false;
+        }
+        if (pendingRequests[requestId] || triggeredRequests[requestId] || schedules[requestId]) {
+            return false;
+        }
+        for (var key in operations) {
+            if (operations.hasOwnProperty(key) && operations[key].requestId === requestId) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Requests sent with trigger() whose result is not complete yet, keyed by request id. Each holds the
+     * ids of the workers that have not sent any message for the request yet, and so may still owe it a
+     * report. A worker whose callback reports nothing acknowledges the request with a "_triggerDone" message.
+     *
+     * @member {Object}
+     * @private
+     */
+    var triggeredRequests = {};
+
+    /**
+     * Record that a worker has handled a triggered request, from any of its messages for the request.
+     * The request is no longer tracked once every worker has.
+     *
+     * @param data {!Object} message data
+     * @private
+     */
+    var acknowledgeRequest = function(data) {
+        var unacknowledged = triggeredRequests[data.requestId];
+        if (!unacknowledged || typeof data.id !== "number") {
+            return;
+        }
+        delete unacknowledged[data.id];
+        if (Object.keys(unacknowledged).length === 0) {
+            delete triggeredRequests[data.requestId];
+        }
+    };
+
+    /**
+     * Check whether a worker has reported for a request
+     *
+     * @param {!number} requestId the id of the request
+     * @param {!number} id the id of the worker
+     * @returns {boolean} true if an operation of the request has a report from the worker
+     * @private
+     */
+    var hasReported = function(requestId, id) {
+        for (var key in operations) {
+            if (operations.hasOwnProperty(key) && operations[key].requestId === requestId &&
+                    operations[key].reported[id]) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Fetch the in-flight operation state for a worker message, creating it on the first message.
+     *
+     * @param data {!Object} message data
+     * @returns {Object} the operation state
+     * @private
+     */
+    var getOperation = function(data) {
+        var key = data.requestId + ":" + data.tag;
+        if (!operations[key]) {
+            operations[key] = {key: key, requestId: data.requestId, tag: data.tag, nReported: 0, reported: {}, result: null};
+        }
+        return operations[key];
+    };
+
+    /**
+     * Number of reports that complete an operation
+     *
+     * @param op {!Object} the operation state
+     * @returns {number} the number of reports
+     * @private
+     */
+    var expectedReports = function(op) {
+        // In dynamic scheduling mode, there is one report per chunk instead of one per worker
+        var schedule = schedules[op.requestId];
+        return schedule ? schedule.nChunks : pool.nWorkers;
+    };
+
+    /**
+     * In deterministic mode, keep a partial result of a reduction at its position in the combination order.
+     *
+     * @param op {!Object} the operation state
+     * @param data {!Object} message data of the report
+     * @param {*} part the partial result
+     * @returns {boolean} true if this is the last partial result of the operation, which is then to be combined
+     * @private
+     */
+    var addPart = function(op, data, part) {
+        op.parts = op.parts || [];
+        op.parts[data.part] = part;
+        return op.nReported + 1 === expectedReports(op);
+    };
+
+    /**
+     * Combine the partial results of a reduction in order. Sums are combined with compensated (Neumaier)
+     * summation if requested.
+     *
+     * @param {!Array} parts the partial results
+     * @param {function} combine the combiner of the reduction
+     * @param {string} name the name of the reduction
+     * @returns {*} the result
+     * @private
+     */
+    var combineParts = function(parts, combine, name) {
+        var i;
+        if (compensated && name === "sum") {
+            var tot = 0.0;
+            var c = 0.0;
+            for (i = 0; i < parts.length; ++i) {
+                var t = tot + parts[i];
+                if (Math.abs(tot) >= Math.abs(parts[i])) {
+                    c += (tot - t) + parts[i];
+                } else {
+                    c += (parts[i] - t) + tot;
+                }
+                tot = t;
+            }
+            return tot + c;
+        }
+        var result = parts[0];
+        for (i = 1; i < parts.length; ++i) {
+            result = combine(result, parts[i]);
+        }
+        return result;
+    };
+
+    /**
+     * Combine the partial arrays of an element-wise reduction in order, see combineParts()
+     *
+     * @param {!Array.<Float64Array>} parts the partial arrays
+     * @param {function} combine the combiner of the reduction
+     * @param {string} name the name of the reduction
+     * @returns {Float64Array} the result
+     * @private
+     */
+    var combinePartArrays = function(parts, combine, name) {
+        var result = new Float64Array(parts[0].length);
+        var column = new Array(parts.length);
+        for (var i = 0; i < result.length; ++i) {
+            for (var p = 0; p < parts.length; ++p) {
+                column[p] = parts[p][i];
+            }
+            result[i] = combineParts(column, combine, name);
+        }
+        return result;
+    };
+
+    /**
+     * Count a worker report towards an operation. Once all workers have reported, the operation
+     * is removed from the in-flight operations and its result is placed in the objectBuffer.
+     *
+     * @param op {!Object} the operation state
+     * @param data {!Object} message data of the report
+     * @returns {boolean} true if all workers have reported for the operation
+     * @private
+     */
+    var reportOperation = function(op, data) {
+        op.reported[data.id] = true;
+        op.nReported += 1;
+        if (op.nReported === expectedReports(op)) {
+            delete operations[op.key];
+            objectBuffer = op.result;
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Assign an id to a new request
+     *
+     * @returns {number} the request id
+     * @private
+     */
+    var nextRequestId = function() {
+        if (terminated) {
+            throw new Error("Coordinator has been terminated.");
+        }
+        requestCounter += 1;
+        // Late messages for a request this old are discarded as expired instead
+        delete closedRequests[requestCounter - global.requestWindow];
+        return requestCounter;
+    };
 
     /**
-     * Buffer for data received from worker pool
+     * Counter used to assign a unique handle to each distributed object
+     *
+     * @member {number}
+     * @private
+     */
+    var distributedCounter = 0;
+
+    /**
+     * The channel through which distributed Vectors and Matrices send their operations to the workers
      *
      * @member {Object}
      * @private
      */
-    var objectBuffer = {};
+    var distributedChannel = {
+        newHandle: function() {
+            return ++distributedCounter;
+        },
+        encodeBuffer: function(buf) {
+            return comm.encodeBuffer(buf, pool.transport);
+        },
+        // Send an operation to every worker, returns the request id
+        post: function(message) {
+            message.handle = "_distributed";
+            message.requestId = nextRequestId();
+            message.requestTime = MathWorkers.util.now();
+            for (var wk = 0; wk < pool.nWorkers; ++wk) {
+                pool.postMessage(wk, message);
+            }
+            return message.requestId;
+        },
+        // Send an operation whose workers report a result, returns a Promise of the result
+        request: function(message) {
+            MathWorkers.util.checkPromiseSupport();
+            return new Promise(function(resolve, reject) {
+                var requestId = distributedChannel.post(message);
+                pendingRequests[requestId] = {requestId: requestId, resolve: resolve, reject: reject};
+            });
+        }
+    };
 
     /**
-     * Message buffer for messages received from worker pool. Order of
-     * messages in array corresponds to the MathWorker id.
+     * The range of n that a worker handles in worker operations, as computed by MathWorkers.util.loadBalance
+     * on the worker
      *
-     * @member {Array}
+     * @param {!number} n the number of pieces divided up among the workers
+     * @param {!number} workerId id of the worker
+     * @returns {object} container for range index from (inclusive) and index to (non-inclusive)
      * @private
      */
-    var messageDataBuffer = [];
+    var partitionFor = function(n, workerId) {
+        if (pool.weights) {
+            return MathWorkers.util.weightedPartition(n, workerId, pool.weights);
+        }
+        return MathWorkers.util.partition(n, workerId, pool.nWorkers);
+    };
 
     /**
-     * True when all spawned workers have reported that they are ready. False otherwise.
+     * Send a Vector to a worker. A shared Vector is described rather than copied.
      *
-     * @member {boolean}
+     * @param {!number} workerId id of the worker
+     * @param {!MathWorkers.Vector} vec the Vector
+     * @param {!Object} message the message carrying the Vector, with its tag and request
+     * @private
      */
-    this.ready = false;
+    var postVector = function(workerId, vec, message) {
+        message.handle = "_broadcastVector";
+        if (vec.isShared() && comm.supportsSharedMemory(pool.transport)) {
+            message.shared = comm.sharedDescriptor(vec);
+            pool.postMessage(workerId, message);
+            return;
+        }
+        // Must make a copy of the vector for each worker for transferable object message passing
+        message.vec = comm.encodeBuffer(new Float64Array(vec.array).buffer, pool.transport);
+        pool.postMessage(workerId, message, [message.vec]);
+    };
 
     /**
-     * Once all workers in the pool report that they are ready, execute the callback.
+     * Send a Matrix to a worker. A shared Matrix is described rather than copied.
      *
-     * @param {function} callBack callback function to be executed
+     * @param {!number} workerId id of the worker
+     * @param {!MathWorkers.Matrix} mat the Matrix
+     * @param {!Object} message the message carrying the Matrix, with its tag and request
+     * @private
      */
-    this.onReady = function(callBack) {
-        that.on("_ready", callBack);
+    var postMatrix = function(workerId, mat, message) {
+        message.handle = "_broadcastMatrix";
+        if (mat.isShared() && comm.supportsSharedMemory(pool.transport)) {
+            message.shared = comm.sharedDescriptor(mat);
+            pool.postMessage(workerId, message);
+            return;
+        }
+        // Must make a copy of each matrix row for each worker for transferable object message passing
+        message.nrows = mat.nrows;
+        var matBufferList = [];
+        for (var i = 0; i < mat.nrows; ++i) {
+            message[i] = comm.encodeBuffer(new Float64Array(mat.array[i]).buffer, pool.transport);
+            matBufferList.push(message[i]);
+        }
+        pool.postMessage(workerId, message, matBufferList);
     };
 
     /**
-     * Fetches the object buffer contents.
-     * After a message from one or more workers is received, the object
-     * buffer is typically populated with data.
+     * Verify that a worker id is the id of a worker of the pool
      *
-     * @returns {Object}
+     * @param {number} workerId the id
+     * @throws {Error}
+     * @private
      */
-    this.getBuffer = function() {
-        return objectBuffer;
+    var checkWorkerId = function(workerId) {
+        if (!isValidWorkerId(workerId)) {
+            throw new Error("Invalid worker id " + workerId + " for a pool of " + pool.nWorkers + " workers.");
+        }
     };
 
     /**
-     * Fetches the message data list contents.
-     * After a message from one or more workers is received, the object
-     * buffer is usually populated with data.
+     * Check whether a worker id is the id of a worker of the pool
      *
-     * @returns {Array}
+     * @param {number} workerId the id
+     * @returns {boolean} true if valid
+     * @private
      */
-    this.getMessageDataList = function() {
-        return messageDataBuffer;
+    var isValidWorkerId = function(workerId) {
+        return typeof workerId === "number" && workerId % 1 === 0 && workerId >= 0 && workerId < pool.nWorkers;
     };
 
     /**
-     * Cause an event registered by the MathWorker pool to execute.
+     * Forward data sent by a worker with MathWorker.sendToWorker() to the receiving worker, as part of the
+     * request the sending worker was handling. Buffers are passed on as they are. If the receiving worker
+     * does not exist, the request fails.
      *
-     * @param {!string} tag the unique label for the event being triggered
-     * @param {Array} [args] an array of arguments to be passed to the callback to be executed
+     * @param data {!Object} message data
+     * @private
      */
-    this.trigger = function(tag, args) {
-        for (var wk = 0; wk < global.nWorkers; ++wk) {
-            comm.postMessageToWorker(wk, {handle: "_trigger", tag: tag, args: args});
+    var handleSendToWorker = function(data) {
+        if (!isValidWorkerId(data.to)) {
+            var err = new Error("MathWorker " + data.id + " sent data for tag \"" + data.tag +
+                "\" to invalid worker id " + data.to + ".");
+            err.tag = data.tag;
+            err.requestId = data.requestId;
+            failRequest(data.requestId, err);
+            return;
+        }
+        var message = {handle: data.kind, tag: data.tag, from: data.id, requestId: data.requestId,
+            requestTime: data.requestTime};
+        var buffers = [];
+        if (data.shared) {
+            message.shared = data.shared;
+        } else if (data.kind === "_broadcastVector") {
+            message.vec = data.vec;
+            buffers.push(data.vec);
+        } else if (data.kind === "_broadcastMatrix") {
+            message.nrows = data.nrows;
+            for (var i = 0; i < data.nrows; ++i) {
+                message[i] = data[i];
+                buffers.push(data[i]);
+            }
+        } else {
+            message.data = data.data;
         }
+        pool.postMessage(data.to, message, buffers);
     };
 
     /**
-     * Broadcasts data to all workers
+     * Broadcast options for rebroadcasting the result of a worker operation. A rebroadcast flag given
+     * as a string is the name under which the workers store the result.
      *
-     * @param {Object} data JSON-serializable data to be sent
-     * @param {!string} tag message tag
+     * @param data {!Object} message data
+     * @returns {Object} the broadcast options
+     * @private
+     */
+    var rebroadcastOptions = function(data) {
+        return {name: typeof data.rebroadcast === "string" ? data.rebroadcast : undefined};
+    };
+
+    /**
+     * Emit the tag event of a completed worker operation. The listeners receive the result, and
+     * {tag, requestId, duration, nWorkers} metadata: the time in milliseconds from sending the request
+     * to completing the operation, or null if unknown, and the number of workers in the pool.
+     *
+     * @param data {!Object} message data of the last report
+     * @param {*} result the result of the operation
+     * @private
+     */
+    var emitResult = function(data, result) {
+        that.emit(data.tag, result, {
+            tag: data.tag, requestId: data.requestId, nWorkers: pool.nWorkers,
+            duration: typeof data.requestTime === "number" ? MathWorkers.util.now() - data.requestTime : null
+        });
+    };
+
+    /**
+     * Hand out the next chunk of a dynamically scheduled request to a worker, if chunks remain
+     *
+     * @param {!number} requestId id of the request
+     * @param {!number} workerId id of the worker
+     * @private
      */
-    this.sendDataToWorkers = function(data, tag) {
-        for (var wk = 0; wk < global.nWorkers; ++wk) {
-            comm.postMessageToWorker(wk, {handle: "_broadcastData", tag: tag, data: data});
+    var sendChunk = function(requestId, workerId) {
+        var schedule = schedules[requestId];
+        if (schedule && schedule.nextChunk < schedule.nChunks) {
+            // The message is copied when posted, so it can be reused for every chunk
+            schedule.message.chunk = {index: schedule.nextChunk++, nChunks: schedule.nChunks};
+            pool.postMessage(workerId, schedule.message);
         }
     };
 
     /**
-     * Broadcast a Vector to all workers
+     * A worker finished a chunk of a dynamically scheduled request and is idle, so hand it the next one
      *
-     * @param {!MathWorkers.Vector} vec Vector to be sent
-     * @param {!string} tag message tag
+     * @param data {!Object} message data
+     * @private
      */
-    this.sendVectorToWorkers = function(vec, tag) {
-        // Must make a copy of the vector for each worker for transferable object message passing
-        for (var wk = 0; wk < global.nWorkers; ++wk) {
-            var buf;
-            if (global.isNode) {
-                // Convert ArrayBuffer to string
-                buf = MathWorkers.util.ab2str(vec.array.buffer);
-            } else {
-                var v = new Float64Array(vec.array);
-                buf = v.buffer;
-            }
-            comm.postMessageToWorker(wk, {handle: "_broadcastVector", tag: tag,	vec: buf}, [buf]);
+    var handleChunkDone = function(data) {
+        sendChunk(data.requestId, data.id);
+    };
+
+    /**
+     * Resolve the Promise of a request made with run(), if there is one pending for the request id.
+     *
+     * @param {number} requestId id of the completed request
+     * @param {*} result the result to resolve the Promise with
+     * @private
+     */
+    var resolveRequest = function(requestId, result) {
+        clearRequestTimer(requestId);
+        delete schedules[requestId];
+        delete triggeredRequests[requestId];
+        var pending = pendingRequests[requestId];
+        if (pending) {
+            delete pendingRequests[requestId];
+            pending.resolve(result);
         }
     };
 
     /**
-     * Broadcast a Matrix to all workers
+     * Stop the timeout timer of a request, if it has one
      *
-     * @param {!MathWorkers.Matrix} mat Matrix to be sent
-     * @param {!string} tag message tag
+     * @param {number} requestId id of the request
+     * @private
      */
-    this.sendMatrixToWorkers = function(mat, tag) {
-        // Must make a copy of each matrix row for each worker for transferable object message passing
-        for (var wk = 0; wk < global.nWorkers; ++wk) {
-            var matObject = {handle: "_broadcastMatrix", tag: tag, nrows: mat.nrows};
-            var matBufferList = [];
-            var i, row;
-            if (global.isNode) {
-                for (i = 0; i < mat.nrows; ++i) {
-                    // Convert ArrayBuffer to string
-                    matObject[i] = MathWorkers.util.ab2str(mat.array[i].buffer);
-                }
-            } else {
-                for (i = 0; i < mat.nrows; ++i) {
-                    row = new Float64Array(mat.array[i]);
-                    matObject[i] = row.buffer;
-                    matBufferList.push(row.buffer);
-                }
-            }
-            comm.postMessageToWorker(wk, matObject, matBufferList);
+    var clearRequestTimer = function(requestId) {
+        if (requestTimers[requestId]) {
+            clearTimeout(requestTimers[requestId]);
+            delete requestTimers[requestId];
         }
     };
 
     /**
-     * Disconnect the coordinator from node.js cluster workers
+     * Close a request: drop its in-flight operations, which can no longer complete, and discard any
+     * further worker messages for it.
+     *
+     * @param {number} requestId id of the request
+     * @private
      */
-    this.disconnect = function() {
-        if (global.isNode && global.nodeCluster.isMaster) {
-            global.nodeCluster.disconnect();
+    var closeRequest = function(requestId) {
+        clearRequestTimer(requestId);
+        delete schedules[requestId];
+        delete triggeredRequests[requestId];
+        if (!MathWorkers.util.nullOrUndefined(requestId)) {
+            closedRequests[requestId] = true;
+        }
+        for (var key in operations) {
+            if (operations.hasOwnProperty(key) && operations[key].requestId === requestId) {
+                delete operations[key];
+            }
         }
     };
 
     /**
-     * Create the worker pool, which starts the workers
+     * Fail a request by closing it. The Promise of a request made with run() is rejected with the
+     * error. Otherwise, the "error" event is emitted with the error,
+     * which throws it if the "error" event has no listener.
+     *
+     * @param {number} requestId id of the failed request
+     * @param {!Error} err the reason for the failure
+     * @private
      */
-    global.createPool(nWorkersInput, workerScriptName);
+    var failRequest = function(requestId, err) {
+        closeRequest(requestId);
+        var pending = pendingRequests[requestId];
+        if (pending) {
+            delete pendingRequests[requestId];
+            pending.reject(err);
+        } else {
+            that.emit("error", err);
+        }
+    };
 
     /**
-     * The onmessage router for all workers.
-     * Routes the event appropriately based on the message handle.
+     * Accumulate the calibration times of the workers. Once all have reported, set the worker weights
+     * in proportion to their speeds and resolve the calibrate() Promise with them.
      *
-     * @param event {Object} web worker event from message passing
+     * @param data {!Object} message data
      * @private
      */
-    var onmessageHandler = function(event) {
-        var data = event.data || event;
-        switch (data.handle) {
-            case "_workerReady":
-                handleWorkerReady();
-                break;
-            case "_sendData":
-                handleSendData(data);
-                break;
-            case "_vectorSendToCoordinator":
-                handleVectorSendToCoordinator(data);
-                break;
-            case "_gatherVector":
-                handleGatherVector(data);
-                break;
-            case "_matrixSendToCoordinator":
-                handleMatrixSendToCoordinator(data);
-                break;
-            case "_gatherMatrixRows":
-                handleGatherMatrixRows(data);
-                break;
-            case "_gatherMatrixColumns":
-                handleGatherMatrixColumns(data);
-                break;
-            case "_vectorSum":
-                handleVectorSum(data);
-                break;
-            case "_vectorProduct":
-                handleVectorProduct(data);
-                break;
-            default:
-                console.error("Invalid Coordinator handle: " + data);
+    var handleCalibrated = function(data) {
+        var op = getOperation(data);
+        if (op.nReported === 0) {
+            op.result = [];
+        }
+        // Guard against timer resolution reporting no time at all
+        op.result[data.id] = 1.0 / Math.max(data.time, 1e-3);
+        if (reportOperation(op, data)) {
+            var total = 0;
+            var wk;
+            for (wk = 0; wk < op.result.length; ++wk) {
+                total += op.result[wk];
+            }
+            var weights = [];
+            for (wk = 0; wk < op.result.length; ++wk) {
+                weights.push(op.result[wk] / total);
+            }
+            that.setWorkerWeights(weights);
+            resolveRequest(data.requestId, weights);
         }
     };
 
-    // Register the above onmessageHandler for each worker in the pool
-    // Also, initialize the message data buffer with empty objects
-    for (var wk = 0; wk < global.nWorkers; ++wk) {
-        if (global.isNode) {
-            // Node.js cluster workers
-            if (global.nodeCluster.isWorker) {
-                return;
+    /**
+     * Fail a request that the workers did not complete in time. The resulting Error lists the ids
+     * of the workers that never reported for the request.
+     *
+     * @param {!number} requestId id of the request
+     * @param {!string} tag tag of the request
+     * @param {!number} timeout the timeout of the request in milliseconds
+     * @private
+     */
+    var timeoutRequest = function(requestId, tag, timeout) {
+        delete requestTimers[requestId];
+        var reported = {};
+        for (var key in operations) {
+            if (operations.hasOwnProperty(key) && operations[key].requestId === requestId) {
+                for (var id in operations[key].reported) {
+                    if (operations[key].reported.hasOwnProperty(id)) {
+                        reported[id] = true;
+                    }
+                }
             }
-            global.getWorker(wk).on("message", onmessageHandler);
-        } else {
-            // HTML5 Web Workers
-            global.getWorker(wk).onmessage = onmessageHandler;
         }
-        messageDataBuffer.push({});
-    }
+        var missingWorkers = [];
+        for (var wk = 0; wk < pool.nWorkers; ++wk) {
+            if (!reported[wk]) {
+                missingWorkers.push(wk);
+            }
+        }
+        var err = new Error("Request " + requestId + " with tag \"" + tag + "\" timed out after " + timeout +
+            " ms; MathWorkers that never reported: " + missingWorkers.join(", "));
+        err.requestId = requestId;
+        err.tag = tag;
+        err.timeout = true;
+        err.missingWorkers = missingWorkers;
+        failRequest(requestId, err);
+    };
+
+    /**
+     * Fail the request of a worker that reported an error while handling a message.
+     * The resulting Error carries the worker id, tag and worker-side stack trace.
+     *
+     * @param data {!Object} message data
+     * @private
+     */
+    var handleError = function(data) {
+        var err = new Error("MathWorker " + data.id + " failed handling tag \"" + data.tag + "\": " + data.message);
+        err.workerId = data.id;
+        err.tag = data.tag;
+        err.requestId = data.requestId;
+        err.workerStack = data.stack;
+        failRequest(data.requestId, err);
+    };
+
+    /**
+     * Handle a worker of the pool that died. If the respawn option is set, a replacement worker with the
+     * same id is spawned first. Then emits the "workerExit" event with the worker id and the exit code,
+     * signal or error, and fails every request that was waiting on the dead worker.
+     *
+     * @param {!number} id the id of the dead worker
+     * @param {!Object} reason the exit code, signal or error of the worker
+     * @private
+     */
+    var handleWorkerExit = function(id, reason) {
+        if (options.respawn) {
+            pool.respawnWorker(id);
+        }
+        that.emit("workerExit", {
+            id: id, code: reason.code, signal: reason.signal,
+            error: reason.error ? String(reason.error) : null
+        });
 
-    // Reduction function variables
-    var nWorkersReported = 0;
+        var failed = [];
+        var waiting = function(requestId) {
+            return failed.indexOf(requestId) < 0 && !hasReported(requestId, id);
+        };
+        var key;
+        for (key in operations) {
+            if (operations.hasOwnProperty(key) && waiting(operations[key].requestId)) {
+                failed.push(operations[key].requestId);
+            }
+        }
+        // Triggered requests the dead worker has handled owe it nothing more, even if it reported nothing
+        for (key in triggeredRequests) {
+            if (triggeredRequests.hasOwnProperty(key) && triggeredRequests[key][id] &&
+                    failed.indexOf(Number(key)) < 0) {
+                failed.push(Number(key));
+            }
+        }
+        for (key in pendingRequests) {
+            if (pendingRequests.hasOwnProperty(key) && waiting(pendingRequests[key].requestId)) {
+                failed.push(pendingRequests[key].requestId);
+            }
+        }
+        // The chunks handed to the dead worker are lost
+        for (key in schedules) {
+            if (schedules.hasOwnProperty(key) && failed.indexOf(Number(key)) < 0) {
+                failed.push(Number(key));
+            }
+        }
+        // An unhandled "error" event throws, which must not keep the other requests from failing
+        var unhandled = null;
+        failed.forEach(function(requestId) {
+            var err = new Error("MathWorker " + id + " exited before completing the request.");
+            err.workerId = id;
+            err.requestId = requestId;
+            try {
+                failRequest(requestId, err);
+            } catch (e) {
+                unhandled = unhandled || e;
+            }
+        });
+        if (unhandled) {
+            throw unhandled;
+        }
+    };
 
     /**
      * Accumulate the number of reported workers. Once all workers have reported,
-     * emit the special "_ready" event to cause onReady() to execute.
+     * emit the special "_ready" event to cause onReady() to execute, or complete a resize().
+     * Workers respawned after the pool is ready report ready again, those reports are not counted.
      *
      * @private
      */
     var handleWorkerReady = function() {
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
+        if (that.ready) {
+            return;
+        }
+        nWorkersReady += 1;
+        if (nWorkersReady === pool.nWorkers) {
             that.ready = true;
-            that.emit("_ready");
             // reset for next message
-            nWorkersReported = 0;
+            nWorkersReady = 0;
+            if (resizing) {
+                var resolve = resizing.resolve;
+                resizing = null;
+                resolve(pool.nWorkers);
+            } else {
+                that.emit("_ready");
+            }
         }
     };
 
@@ -240,12 +1433,15 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
      * @private
      */
     var handleSendData = function(data) {
-        messageDataBuffer[data.id] = data.data;
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
-            that.emit(data.tag);
-            // reset for next message
-            nWorkersReported = 0;
+        var op = getOperation(data);
+        if (op.nReported === 0) {
+            op.result = [];
+        }
+        op.result[data.id] = data.data;
+        if (reportOperation(op, data)) {
+            messageDataBuffer = op.result;
+            emitResult(data, op.result);
+            resolveRequest(data.requestId, op.result);
         }
     };
 
@@ -259,13 +1455,9 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
      */
     var handleVectorSendToCoordinator = function(data) {
         objectBuffer = new MathWorkers.Vector();
-        var buf = data.vectorBuffer;
-        if (global.isNode) {
-            // Convert string into ArrayBuffer
-            buf = MathWorkers.util.str2ab(buf);
-        }
-        objectBuffer.setVector(new Float64Array(buf));
-        that.emit(data.tag);
+        objectBuffer.setVector(new Float64Array(comm.decodeBuffer(data.vectorBuffer, pool.transport)));
+        emitResult(data, objectBuffer);
+        resolveRequest(data.requestId, objectBuffer);
     };
 
     /**
@@ -277,20 +1469,14 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
      * @private
      */
     var handleMatrixSendToCoordinator = function(data) {
-        var i, tmp = [];
-        if (global.isNode) {
-            for (i = 0; i < data.nrows; ++i) {
-                // Convert string into ArrayBuffer
-                tmp.push(new Float64Array(MathWorkers.util.str2ab(data[i])));
-            }
-        } else {
-            for (i = 0; i < data.nrows; ++i) {
-                tmp.push(new Float64Array(data[i]));
-            }
+        var tmp = [];
+        for (var i = 0; i < data.nrows; ++i) {
+            tmp.push(new Float64Array(comm.decodeBuffer(data[i], pool.transport)));
         }
         objectBuffer = new MathWorkers.Matrix();
         objectBuffer.setMatrix(tmp);
-        that.emit(data.tag);
+        emitResult(data, objectBuffer);
+        resolveRequest(data.requestId, objectBuffer);
     };
 
     /**
@@ -303,25 +1489,26 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
      */
     var handleGatherVector = function(data) {
         // Gather the vector parts from each worker
-        if (nWorkersReported === 0) {
-            objectBuffer = new MathWorkers.Vector(data.len);
+        var op = getOperation(data);
+        if (op.nReported === 0) {
+            op.result = data.output ? comm.fromSharedDescriptor(data.output) : new MathWorkers.Vector(data.len);
         }
-        var buf = global.isNode ? MathWorkers.util.str2ab(data.vectorPart) : data.vectorPart;
-        var tmpArray = new Float64Array(buf);
-        var offset = data.offset;
-        for (var i = 0; i < tmpArray.length; ++i) {
-            objectBuffer.array[offset + i] = tmpArray[i];
+        // Parts written in place into a shared output need no copying
+        if (!data.output) {
+            var tmpArray = new Float64Array(comm.decodeBuffer(data.vectorPart, pool.transport));
+            var offset = data.offset;
+            for (var i = 0; i < tmpArray.length; ++i) {
+                op.result.array[offset + i] = tmpArray[i];
+            }
         }
 
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
+        if (reportOperation(op, data)) {
             if (data.rebroadcast) {
-                that.sendVectorToWorkers(objectBuffer, data.tag);
+                that.sendVectorToWorkers(op.result, data.tag, rebroadcastOptions(data));
             } else {
-                that.emit(data.tag);
+                emitResult(data, op.result);
             }
-            // reset
-            nWorkersReported = 0;
+            resolveRequest(data.requestId, op.result);
         }
     };
 
@@ -336,29 +1523,23 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
     var handleGatherMatrixRows = function(data) {
         // Gather the matrix rows from each worker
         var i, offset = data.offset;
-        if (nWorkersReported === 0) {
-            objectBuffer = new MathWorkers.Matrix(data.nrows, data.ncols);
+        var op = getOperation(data);
+        if (op.nReported === 0) {
+            op.result = data.output ? comm.fromSharedDescriptor(data.output) : new MathWorkers.Matrix(data.nrows, data.ncols);
         }
-        if (global.isNode) {
-            for (i = 0; i < data.nrowsPart; ++i) {
-                objectBuffer.array[offset + i] = new Float64Array(MathWorkers.util.str2ab(data[i]));
-            }
-        } else {
+        if (!data.output) {
             for (i = 0; i < data.nrowsPart; ++i) {
-                objectBuffer.array[offset + i] = new Float64Array(data[i]);
+                op.result.array[offset + i] = new Float64Array(comm.decodeBuffer(data[i], pool.transport));
             }
         }
 
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
-          // build the full vector and save to buffer
-          if (data.rebroadcast) {
-              that.sendMatrixToWorkers(objectBuffer, data.tag);
-          } else {
-              that.emit(data.tag);
-          }
-          //reset
-          nWorkersReported = 0;
+        if (reportOperation(op, data)) {
+            if (data.rebroadcast) {
+                that.sendMatrixToWorkers(op.result, data.tag, rebroadcastOptions(data));
+            } else {
+                emitResult(data, op.result);
+            }
+            resolveRequest(data.requestId, op.result);
         }
     };
 
@@ -373,95 +1554,229 @@ MathWorkers.Coordinator = function(nWorkersInput, workerScriptName) {
     var handleGatherMatrixColumns = function(data) {
         // Gather the matrix columns from each worker
         var i, k;
-        if (nWorkersReported === 0) {
-            objectBuffer = new MathWorkers.Matrix(data.nrows, data.ncols);
+        var op = getOperation(data);
+        if (op.nReported === 0) {
+            op.result = data.output ? comm.fromSharedDescriptor(data.output) : new MathWorkers.Matrix(data.nrows, data.ncols);
         }
 
         // array in data is transposed
         var tmpArray;
         var offsetk;
-        if (global.isNode) {
-            for (k = 0, offsetk = data.offset; k < data.nrowsPart; ++k, ++offsetk) {
-              tmpArray = new Float64Array(MathWorkers.util.str2ab(data[k]));
-              for (i = 0; i < tmpArray.length; ++i) {
-                  objectBuffer.array[i][offsetk] = tmpArray[i];
-              }
-            }
-        } else {
+        if (!data.output) {
             for (k = 0, offsetk = data.offset; k < data.nrowsPart; ++k, ++offsetk) {
-                tmpArray = new Float64Array(data[k]);
+                tmpArray = new Float64Array(comm.decodeBuffer(data[k], pool.transport));
                 for (i = 0; i < tmpArray.length; ++i) {
-                    objectBuffer.array[i][offsetk] = tmpArray[i];
+                    op.result.array[i][offsetk] = tmpArray[i];
                 }
             }
         }
 
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
+        if (reportOperation(op, data)) {
             if (data.rebroadcast) {
-                that.sendMatrixToWorkers(objectBuffer, data.tag);
+                that.sendMatrixToWorkers(op.result, data.tag, rebroadcastOptions(data));
             } else {
                 // emit
-                that.emit(data.tag);
+                emitResult(data, op.result);
             }
-            //reset
-            nWorkersReported = 0;
+            resolveRequest(data.requestId, op.result);
         }
     };
 
     /**
-     * Sum reduction for a Vector. Stores the full sum in the objectBuffer.
+     * Reduction of the values sent by all workers with MathWorker.reduce(), using the combiner
+     * named in the message. Stores the result in the objectBuffer.
      * Emits the message tag event.
      *
-     * @param data {!Object}
+     * @param data {!Object} message data
      * @private
      */
-    var handleVectorSum = function(data) {
-        if (nWorkersReported === 0) {
-            objectBuffer = data.tot;
+    var handleReduce = function(data) {
+        var combine = getReduction(data);
+        if (!combine) {
+            return;
+        }
+        var op = getOperation(data);
+        if (deterministic) {
+            if (addPart(op, data, data.value)) {
+                op.result = combineParts(op.parts, combine, data.op);
+            }
+        } else if (op.nReported === 0) {
+            op.result = data.value;
         } else {
-            objectBuffer += data.tot;
+            op.result = combine(op.result, data.value);
         }
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
+        if (reportOperation(op, data)) {
             if (data.rebroadcast) {
                 // rebroadcast the result back to the workers
-                that.sendDataToWorkers(objectBuffer, data.tag);
+                that.sendDataToWorkers(op.result, data.tag, rebroadcastOptions(data));
             } else {
                 // save result to buffer and emit to the browser-side coordinator
-                that.emit(data.tag);
+                emitResult(data, op.result);
             }
-            // reset for next message
-            nWorkersReported = 0;
+            resolveRequest(data.requestId, op.result);
+        }
+    };
+
+    /**
+     * Fetch the combiner of a reduction requested by a worker. If there is none, the request fails.
+     *
+     * @param data {!Object} message data
+     * @returns {function} the combiner, or null if the reduction is unknown
+     * @private
+     */
+    var getReduction = function(data) {
+        var combine = reductions[data.op];
+        if (!combine) {
+            var err = new Error("Unknown reduction \"" + data.op + "\" for tag \"" + data.tag + "\".");
+            err.tag = data.tag;
+            err.requestId = data.requestId;
+            failRequest(data.requestId, err);
+            return null;
         }
+        return combine;
     };
 
     /**
-     * Product reduction for a Vector. Stores the full product in the objectBuffer.
+     * Combine a worker's array into the accumulated array element-wise
+     *
+     * @param {!Float64Array} acc the accumulated array, updated in place
+     * @param {!Float64Array} part the worker's array
+     * @param {function} combine the combiner of the reduction
+     * @private
+     */
+    var combineArrays = function(acc, part, combine) {
+        for (var i = 0; i < acc.length; ++i) {
+            acc[i] = combine(acc[i], part[i]);
+        }
+    };
+
+    /**
+     * Element-wise reduction of the Vectors sent by all workers with MathWorker.reduceVector().
+     * Stores the reduced Vector in the objectBuffer.
      * Emits the message tag event.
      *
-     * @param data {!Object}
+     * @param data {!Object} message data
      * @private
      */
-    var handleVectorProduct = function(data) {
-        if (nWorkersReported === 0) {
-            objectBuffer = data.tot;
+    var handleReduceVector = function(data) {
+        var combine = getReduction(data);
+        if (!combine) {
+            return;
+        }
+        var op = getOperation(data);
+        var part = new Float64Array(comm.decodeBuffer(data.vectorPart, pool.transport));
+        if (op.nReported > 0 && op.length !== part.length) {
+            failRequest(data.requestId, new Error("MathWorker " + data.id + " sent a Vector of length " +
+                part.length + " for reduction \"" + data.tag + "\", expected " + op.length + "."));
+            return;
+        }
+        op.length = part.length;
+        if (deterministic) {
+            if (addPart(op, data, part)) {
+                op.result = new MathWorkers.Vector();
+                op.result.setVector(combinePartArrays(op.parts, combine, data.op));
+            }
+        } else if (op.nReported === 0) {
+            op.result = new MathWorkers.Vector();
+            op.result.setVector(part);
         } else {
-            objectBuffer *= data.tot;
+            combineArrays(op.result.array, part, combine);
         }
-        nWorkersReported += 1;
-        if (nWorkersReported === global.nWorkers) {
+        if (reportOperation(op, data)) {
             if (data.rebroadcast) {
                 // rebroadcast the result back to the workers
-                that.sendDataToWorkers(objectBuffer, data.tag);
+                that.sendVectorToWorkers(op.result, data.tag, rebroadcastOptions(data));
             } else {
                 // save result to buffer and emit to the browser-side coordinator
-                that.emit(data.tag);
+                emitResult(data, op.result);
             }
-            // reset for next message
-            nWorkersReported = 0;
+            resolveRequest(data.requestId, op.result);
+        }
+    };
+
+    /**
+     * Element-wise reduction of the Matrices sent by all workers with MathWorker.reduceMatrix().
+     * Stores the reduced Matrix in the objectBuffer.
+     * Emits the message tag event.
+     *
+     * @param data {!Object} message data
+     * @private
+     */
+    var handleReduceMatrix = function(data) {
+        var combine = getReduction(data);
+        if (!combine) {
+            return;
+        }
+        var op = getOperation(data);
+        var i;
+        if (op.nReported > 0 && (op.nrows !== data.nrows || op.ncols !== data.ncols)) {
+            failRequest(data.requestId, new Error("MathWorker " + data.id + " sent a " + data.nrows + "x" +
+                data.ncols + " Matrix for reduction \"" + data.tag + "\", expected " + op.nrows + "x" +
+                op.ncols + "."));
+            return;
+        }
+        op.nrows = data.nrows;
+        op.ncols = data.ncols;
+        var rows = [];
+        for (i = 0; i < data.nrows; ++i) {
+            rows.push(new Float64Array(comm.decodeBuffer(data[i], pool.transport)));
+        }
+        if (deterministic) {
+            if (addPart(op, data, rows)) {
+                var reduced = [];
+                for (i = 0; i < data.nrows; ++i) {
+                    var partRows = [];
+                    for (var p = 0; p < op.parts.length; ++p) {
+                        partRows.push(op.parts[p][i]);
+                    }
+                    reduced.push(combinePartArrays(partRows, combine, data.op));
+                }
+                op.result = new MathWorkers.Matrix();
+                op.result.setMatrix(reduced);
+            }
+        } else if (op.nReported === 0) {
+            op.result = new MathWorkers.Matrix();
+            op.result.setMatrix(rows);
+        } else {
+            for (i = 0; i < data.nrows; ++i) {
+                combineArrays(op.result.array[i], rows[i], combine);
+            }
+        }
+        if (reportOperation(op, data)) {
+            if (data.rebroadcast) {
+                // rebroadcast the result back to the workers
+                that.sendMatrixToWorkers(op.result, data.tag, rebroadcastOptions(data));
+            } else {
+                // save result to buffer and emit to the browser-side coordinator
+                emitResult(data, op.result);
+            }
+            resolveRequest(data.requestId, op.result);
         }
     };
+
+    /**
+     * Ready-made parallel operations on this coordinator's workers, which need no worker code
+     *
+     * @member {MathWorkers.Parallel}
+     */
+    this.parallel = new MathWorkers.Parallel(this);
+
+    /**
+     * The worker pool owned by this coordinator. Creating it starts the workers.
+     *
+     * @member {WorkerPool}
+     * @private
+     */
+    var pool = new WorkerPool(nWorkersInput, workerScriptName, {
+        transport: options.transport,
+        libraryUrl: options.libraryUrl,
+        logLevel: MathWorkers.util.nullOrUndefined(options.logLevel) ? global.logLevel : options.logLevel,
+        unrollLoops: MathWorkers.util.nullOrUndefined(options.unrollLoops) ? global.unrollLoops : options.unrollLoops
+    }, {onMessage: onmessageHandler, onExit: handleWorkerExit});
+
+    // Initialize the message data buffer with empty objects
+    for (var wk = 0; wk < pool.nWorkers; ++wk) {
+        messageDataBuffer.push({});
+    }
 };
 MathWorkers.Coordinator.prototype = new EventEmitter();
-
@@ -0,0 +1,462 @@
+// Copyright 2014 Adrian W. Lange
+
+/**
+ * A Vector partitioned among the workers of a Coordinator's pool. Each worker keeps its partition
+ * resident under a handle, so operations execute where the data lives and only reductions and
+ * explicit gathers send data back to the coordinator.
+ * Created with Coordinator.distributeVector(), not directly.
+ *
+ * <p>The partitions of distributed objects created while the pool has a given size and worker weights
+ * line up with each other. Resizing the pool discards them.</p>
+ *
+ * <p>The caller owns every distributed object, including those returned by operations such as plus() or
+ * scale(): its partitions stay resident on the workers until free() is called, or the pool is resized or
+ * terminated. In a chain like x.plus(y).scale(2), the intermediate result is never freed, so chained
+ * operations should use the in-place variants, e.g. x.plus(y).scaleInPlace(2), or free the intermediates.</p>
+ *
+ * @param {!Object} channel the coordinator's channel for distributed operations
+ * @param {!number} handle the handle of the partitions on the workers
+ * @param {!number} length the length of the Vector
+ * @param {!Array.<Object>} partitions the {ifrom, ito} range held by each worker
+ * @constructor
+ * @memberof MathWorkers
+ */
+MathWorkers.DistributedVector = function(channel, handle, length, partitions) {
+
+    /**
+     * The channel through which operations are sent to the workers
+     *
+     * @member {Object}
+     * @private
+     */
+    this.channel = channel;
+
+    /**
+     * The handle of the partitions on the workers
+     *
+     * @member {number}
+     */
+    this.handle = handle;
+
+    /**
+     * The length of this Vector
+     *
+     * @member {number}
+     */
+    this.length = length;
+
+    /**
+     * The {ifrom, ito} range held by each worker
+     *
+     * @member {Array.<Object>}
+     */
+    this.partitions = partitions;
+};
+
+/**
+ * Add another distributed Vector to this one (element-wise) on the workers.
+ *
+ * @param {!MathWorkers.DistributedVector} w the distributed Vector to add to this one
+ * @returns {MathWorkers.DistributedVector} the distributed element-wise sum
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.plus = function(w) {
+    MathWorkers.util.checkDistributed(this, w);
+    var out = this.channel.newHandle();
+    this.channel.post({op: "plus", a: this.handle, b: w.handle, out: out});
+    return new MathWorkers.DistributedVector(this.channel, out, this.length, this.partitions);
+};
+
+/**
+ * Multiply this Vector by a scalar on the workers.
+ *
+ * @param {!number} alpha the scalar
+ * @returns {MathWorkers.DistributedVector} the distributed scaled Vector
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.scale = function(alpha) {
+    MathWorkers.util.checkNumber(alpha);
+    var out = this.channel.newHandle();
+    this.channel.post({op: "scale", a: this.handle, alpha: alpha, out: out});
+    return new MathWorkers.DistributedVector(this.channel, out, this.length, this.partitions);
+};
+
+/**
+ * Add another distributed Vector to this one (element-wise) on the workers, overwriting this Vector.
+ *
+ * @param {!MathWorkers.DistributedVector} w the distributed Vector to add to this one
+ * @returns {MathWorkers.DistributedVector} this Vector
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.plusInPlace = function(w) {
+    MathWorkers.util.checkDistributed(this, w);
+    this.channel.post({op: "plus", a: this.handle, b: w.handle, out: this.handle});
+    return this;
+};
+
+/**
+ * Multiply this Vector by a scalar on the workers, overwriting this Vector.
+ *
+ * @param {!number} alpha the scalar
+ * @returns {MathWorkers.DistributedVector} this Vector
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.scaleInPlace = function(alpha) {
+    MathWorkers.util.checkNumber(alpha);
+    this.channel.post({op: "scale", a: this.handle, alpha: alpha, out: this.handle});
+    return this;
+};
+
+/**
+ * Compute the dot product of this Vector with another distributed Vector.
+ *
+ * @param {!MathWorkers.DistributedVector} w the other distributed Vector
+ * @returns {Promise} resolved with the dot product
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.dotVector = function(w) {
+    MathWorkers.util.checkDistributed(this, w);
+    return this.channel.request({op: "dotVector", a: this.handle, b: w.handle});
+};
+
+/**
+ * Compute the sum of all elements of this Vector.
+ *
+ * @returns {Promise} resolved with the sum
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.sum = function() {
+    return this.channel.request({op: "sum", a: this.handle});
+};
+
+/**
+ * Gather the partitions of this Vector into a Vector on the coordinator.
+ *
+ * @returns {Promise} resolved with the gathered Vector
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.gather = function() {
+    return this.channel.request({op: "gather", a: this.handle});
+};
+
+/**
+ * Release the partitions of this Vector held by the workers. It cannot be used afterward.
+ *
+ * @memberof MathWorkers.DistributedVector
+ */
+MathWorkers.DistributedVector.prototype.free = function() {
+    this.channel.post({op: "free", a: this.handle});
+};
+
+/**
+ * A Matrix partitioned by rows among the workers of a Coordinator's pool. Each worker keeps its rows
+ * resident under a handle, so operations execute where the data lives and only reductions and
+ * explicit gathers send data back to the coordinator.
+ * Created with Coordinator.distributeMatrix(), not directly.
+ * Like for a DistributedVector, the caller owns the Matrix and must free() it, including the results of
+ * operations on it.
+ *
+ * @param {!Object} channel the coordinator's channel for distributed operations
+ * @param {!number} handle the handle of the partitions on the workers
+ * @param {!number} nrows the number of rows of the Matrix
+ * @param {!number} ncols the number of columns of the Matrix
+ * @param {!Array.<Object>} partitions the {ifrom, ito} range of rows held by each worker
+ * @constructor
+ * @memberof MathWorkers
+ */
+MathWorkers.DistributedMatrix = function(channel, handle, nrows, ncols, partitions) {
+
+    /**
+     * The channel through which operations are sent to the workers
+     *
+     * @member {Object}
+     * @private
+     */
+    this.channel = channel;
+
+    /**
+     * The handle of the partitions on the workers
+     *
+     * @member {number}
+     */
+    this.handle = handle;
+
+    /**
+     * The number of rows in this Matrix
+     *
+     * @member {number}
+     */
+    this.nrows = nrows;
+
+    /**
+     * The number of columns in this Matrix
+     *
+     * @member {number}
+     */
+    this.ncols = ncols;
+
+    /**
+     * The {ifrom, ito} range of rows held by each worker
+     *
+     * @member {Array.<Object>}
+     */
+    this.partitions = partitions;
+};
+
+/**
+ * Add another distributed Matrix to this one (element-wise) on the workers.
+ *
+ * @param {!MathWorkers.DistributedMatrix} B the distributed Matrix to add to this one
+ * @returns {MathWorkers.DistributedMatrix} the distributed element-wise sum
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.plus = function(B) {
+    MathWorkers.util.checkDistributed(this, B);
+    var out = this.channel.newHandle();
+    this.channel.post({op: "plus", a: this.handle, b: B.handle, out: out});
+    return new MathWorkers.DistributedMatrix(this.channel, out, this.nrows, this.ncols, this.partitions);
+};
+
+/**
+ * Multiply this Matrix by a scalar on the workers.
+ *
+ * @param {!number} alpha the scalar
+ * @returns {MathWorkers.DistributedMatrix} the distributed scaled Matrix
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.scale = function(alpha) {
+    MathWorkers.util.checkNumber(alpha);
+    var out = this.channel.newHandle();
+    this.channel.post({op: "scale", a: this.handle, alpha: alpha, out: out});
+    return new MathWorkers.DistributedMatrix(this.channel, out, this.nrows, this.ncols, this.partitions);
+};
+
+/**
+ * Add another distributed Matrix to this one (element-wise) on the workers, overwriting this Matrix.
+ *
+ * @param {!MathWorkers.DistributedMatrix} B the distributed Matrix to add to this one
+ * @returns {MathWorkers.DistributedMatrix} this Matrix
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.plusInPlace = function(B) {
+    MathWorkers.util.checkDistributed(this, B);
+    this.channel.post({op: "plus", a: this.handle, b: B.handle, out: this.handle});
+    return this;
+};
+
+/**
+ * Multiply this Matrix by a scalar on the workers, overwriting this Matrix.
+ *
+ * @param {!number} alpha the scalar
+ * @returns {MathWorkers.DistributedMatrix} this Matrix
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.scaleInPlace = function(alpha) {
+    MathWorkers.util.checkNumber(alpha);
+    this.channel.post({op: "scale", a: this.handle, alpha: alpha, out: this.handle});
+    return this;
+};
+
+/**
+ * Compute the matrix-vector product of this Matrix with a Vector on the workers.
+ * The Vector is sent to every worker, the product stays distributed with the same partitions as this Matrix.
+ * Repeated products, as in iterative methods, can overwrite the same distributed Vector instead of
+ * leaving a new one resident each time.
+ *
+ * @param {!MathWorkers.Vector} v the Vector to be multiplied with
+ * @param {MathWorkers.DistributedVector} [out] a distributed Vector, partitioned like the rows of this
+ *                                              Matrix, overwritten with the product
+ * @returns {MathWorkers.DistributedVector} the distributed matrix-vector product, out if given
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.dotVector = function(v, out) {
+    MathWorkers.util.checkVector(v);
+    if (v.length !== this.ncols) {
+        throw new Error("Matrix columns must equal Vector length.");
+    }
+    var product = new MathWorkers.DistributedVector(this.channel, null, this.nrows, this.partitions);
+    if (MathWorkers.util.nullOrUndefined(out)) {
+        product.handle = this.channel.newHandle();
+    } else {
+        MathWorkers.util.checkDistributed(product, out);
+        product = out;
+    }
+    // Not transferred, since every worker receives it
+    var buf = this.channel.encodeBuffer(new Float64Array(v.array).buffer);
+    this.channel.post({op: "dotVector", a: this.handle, x: buf, out: product.handle});
+    return product;
+};
+
+/**
+ * Compute the sum of all elements of this Matrix.
+ *
+ * @returns {Promise} resolved with the sum
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.sum = function() {
+    return this.channel.request({op: "sum", a: this.handle});
+};
+
+/**
+ * Gather the rows of this Matrix into a Matrix on the coordinator.
+ *
+ * @returns {Promise} resolved with the gathered Matrix
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.gather = function() {
+    return this.channel.request({op: "gather", a: this.handle});
+};
+
+/**
+ * Release the rows of this Matrix held by the workers. It cannot be used afterward.
+ *
+ * @memberof MathWorkers.DistributedMatrix
+ */
+MathWorkers.DistributedMatrix.prototype.free = function() {
+    this.channel.post({op: "free", a: this.handle});
+};
+
+/**
+ * Partitions of distributed objects resident on this worker, keyed by handle.
+ * A Vector partition is {array, offset, length}, a Matrix partition is {rows, offset, nrows, ncols}.
+ *
+ * @ignore
+ */
+var residents = {};
+
+/**
+ * Fetch a partition resident on this worker
+ *
+ * @param {!number} handle the handle of the partition
+ * @returns {Object} the partition
+ * @ignore
+ */
+var getResident = function(handle) {
+    if (!residents[handle]) {
+        throw new Error("No distributed object with handle " + handle + " on MathWorker " + global.myWorkerId);
+    }
+    return residents[handle];
+};
+
+/**
+ * Apply fn to every element of the arrays of a partition, storing the results in a new partition,
+ * or in the partition itself when done in place.
+ * b is an optional second partition with the same layout whose elements are also passed to fn.
+ *
+ * @param {!Object} a the partition
+ * @param {Object} b the second partition, or null
+ * @param {function} fn computes a result element from the elements of a and b
+ * @param {boolean} inPlace if true, the results overwrite the elements of a
+ * @returns {Object} the new partition, or a if done in place
+ * @ignore
+ */
+var mapResident = function(a, b, fn, inPlace) {
+    var mapArray = function(x, y) {
+        var z = inPlace ? x : new Float64Array(x.length);
+        for (var i = 0; i < x.length; ++i) {
+            z[i] = fn(x[i], y ? y[i] : 0);
+        }
+        return z;
+    };
+    if (a.rows) {
+        var rows = [];
+        for (var r = 0; r < a.rows.length; ++r) {
+            rows.push(mapArray(a.rows[r], b ? b.rows[r] : null));
+        }
+        return inPlace ? a : {rows: rows, offset: a.offset, nrows: a.nrows, ncols: a.ncols};
+    }
+    var array = mapArray(a.array, b ? b.array : null);
+    return inPlace ? a : {array: array, offset: a.offset, length: a.length};
+};
+
+/**
+ * Sum of all elements of a partition
+ *
+ * @param {!Object} a the partition
+ * @returns {number} the sum
+ * @ignore
+ */
+var sumResident = function(a) {
+    var arrays = a.rows || [a.array];
+    var tot = 0.0;
+    for (var r = 0; r < arrays.length; ++r) {
+        for (var i = 0; i < arrays[r].length; ++i) {
+            tot += arrays[r][i];
+        }
+    }
+    return tot;
+};
+
+/**
+ * Execute a distributed object operation sent by the coordinator on this worker's partitions.
+ * Reductions and gathers report to the coordinator under the "_distributed" tag.
+ *
+ * @param {!Object} data message data
+ * @ignore
+ */
+var handleDistributedMessage = function(data) {
+    var a, i;
+    switch (data.op) {
+        case "createVector":
+            residents[data.out] = {array: new Float64Array(comm.decodeBuffer(data.vec)), offset: data.offset,
+                length: data.length};
+            break;
+        case "createMatrix":
+            var rows = [];
+            for (i = 0; i < data.nrowsPart; ++i) {
+                rows.push(new Float64Array(comm.decodeBuffer(data[i])));
+            }
+            residents[data.out] = {rows: rows, offset: data.offset, nrows: data.nrows, ncols: data.ncols};
+            break;
+        case "plus":
+            residents[data.out] = mapResident(getResident(data.a), getResident(data.b), function(x, y) {
+                return x + y;
+            }, data.out === data.a);
+            break;
+        case "scale":
+            residents[data.out] = mapResident(getResident(data.a), null, function(x) {
+                return data.alpha * x;
+            }, data.out === data.a);
+            break;
+        case "dotVector":
+            a = getResident(data.a);
+            if (a.rows) {
+                // Matrix rows times the full Vector give this worker's partition of the product
+                var x = new Float64Array(comm.decodeBuffer(data.x));
+                var part = new Float64Array(a.rows.length);
+                for (i = 0; i < a.rows.length; ++i) {
+                    for (var j = 0; j < x.length; ++j) {
+                        part[i] += a.rows[i][j] * x[j];
+                    }
+                }
+                residents[data.out] = {array: part, offset: a.offset, length: a.nrows};
+            } else {
+                var b = getResident(data.b);
+                var tot = 0.0;
+                for (i = 0; i < a.array.length; ++i) {
+                    tot += a.array[i] * b.array[i];
+                }
+                MathWorkers.MathWorker.reduce(tot, "sum", "_distributed");
+            }
+            break;
+        case "sum":
+            MathWorkers.MathWorker.reduce(sumResident(getResident(data.a)), "sum", "_distributed");
+            break;
+        case "gather":
+            a = getResident(data.a);
+            // Copies are sent, since the buffers are transferred
+            if (a.rows) {
+                MathWorkers.MathWorker.gatherMatrixRows(a.rows.map(function(row) {
+                    return new Float64Array(row);
+                }), a.nrows, a.offset, "_distributed", false, a.ncols);
+            } else {
+                MathWorkers.MathWorker.gatherVector(new Float64Array(a.array), a.length, a.offset, "_distributed");
+            }
+            break;
+        case "free":
+            delete residents[data.a];
+            break;
+        default:
+            throw new Error("Unknown distributed operation: " + data.op);
+    }
+};
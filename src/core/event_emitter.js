@@ -6,34 +6,109 @@
  *
  * http://otaqui.com/blog/1374/event-emitter-pub-sub-or-deferred-promises-which-should-you-choose/
  *
+ * <p>An event can have several listeners, executed in the order they were added. The "error" event is
+ * reserved: emitting it without any listener throws the error instead.</p>
+ *
  * @mixin
  */
 function EventEmitter() {
+    var that = this;
     var events = {};
 
     /**
-     * Sets an event to listen for
+     * Adds a listener for an event
      *
      * @param {!string} name the event name
      * @param {function} callback the callback to be executed when the event is emitted
      */
     this.on = function(name, callback) {
         MathWorkers.util.checkFunction(callback);
-        events[name] = [callback];
+        events[name] = events[name] || [];
+        events[name].push({callback: callback, once: false});
     };
 
     /**
-     * Emits an event and executes the corresponding callback
+     * Adds a listener for an event, which is removed after the event is next emitted
      *
      * @param {!string} name the event name
-     * @param {Array.<Object>} [args] an array of arguments to be passed to the callback
+     * @param {function} callback the callback to be executed when the event is emitted
      */
-    this.emit = function(name, args) {
+    this.once = function(name, callback) {
+        MathWorkers.util.checkFunction(callback);
         events[name] = events[name] || [];
-        args = args || [];
-        events[name].forEach( function(fn) {
-            fn.call(this, args);
+        events[name].push({callback: callback, once: true});
+    };
+
+    /**
+     * Removes a listener of an event. If the callback was added several times, the last one added is removed.
+     *
+     * @param {!string} name the event name
+     * @param {function} callback the callback to be removed
+     */
+    this.off = function(name, callback) {
+        var listeners = events[name] || [];
+        for (var i = listeners.length - 1; i >= 0; --i) {
+            if (listeners[i].callback === callback) {
+                listeners.splice(i, 1);
+                break;
+            }
+        }
+        if (listeners.length === 0) {
+            delete events[name];
+        }
+    };
+
+    /**
+     * Removes the callbacks of an event, or of all events if no name is given
+     *
+     * @param {string} [name] the event name
+     */
+    this.removeAllListeners = function(name) {
+        if (MathWorkers.util.nullOrUndefined(name)) {
+            events = {};
+        } else {
+            delete events[name];
+        }
+    };
+
+    /**
+     * Counts the listeners of an event
+     *
+     * @param {!string} name the event name
+     * @returns {number} the number of listeners
+     */
+    this.listenerCount = function(name) {
+        return events[name] ? events[name].length : 0;
+    };
+
+    /**
+     * Emits an event and executes its listeners with the given arguments.
+     * Emitting the "error" event without any listener throws the error.
+     *
+     * @param {!string} name the event name
+     * @param {...*} [args] the arguments to be passed to the listeners
+     * @returns {boolean} true if the event had listeners
+     */
+    this.emit = function(name) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var listeners = events[name];
+        if (!listeners || listeners.length === 0) {
+            if (name === "error") {
+                throw args[0] instanceof Error ? args[0] : new Error("Unhandled error event: " + args[0]);
+            }
+            return false;
+        }
+        // Listeners added or removed by a listener only take effect from the next emit
+        listeners = listeners.slice();
+        events[name] = events[name].filter(function(listener) {
+            return !listener.once;
+        });
+        if (events[name].length === 0) {
+            delete events[name];
+        }
+        listeners.forEach(function(listener) {
+            listener.callback.apply(that, args);
         });
+        return true;
     };
 }
-
@@ -0,0 +1,219 @@
+// Copyright 2014 Adrian W. Lange
+
+/**
+ * A lazy element-wise expression on Vectors, evaluated by the workers of a Coordinator.
+ * The operations are only recorded until the expression is evaluated with sum(), product() or evaluate().
+ * Each worker then executes all of them in a single pass over its part of the Vectors, and the result
+ * is reduced or gathered once, instead of once per operation as when chaining worker operations.
+ * Expressions are immutable: each operation returns a new expression, so an expression can be shared.
+ * Started with Coordinator.parallel.expr(), not created directly.
+ *
+ * @example
+ * coord.parallel.expr(v).plus(w).scale(2).sum().then(function(tot) {
+ *     console.log(tot);
+ * });
+ *
+ * @param {!MathWorkers.Parallel} parallel the parallel operations of the Coordinator evaluating the expression
+ * @param {!Array.<MathWorkers.Vector>} operands the Vectors of the expression, the first being its start
+ * @param {!Array.<Object>} steps the recorded operations, {op, operand} with the index of a Vector operand,
+ *                                or {op, alpha} for scale
+ * @constructor
+ * @memberof MathWorkers
+ */
+MathWorkers.Expression = function(parallel, operands, steps) {
+
+    /**
+     * The parallel operations of the Coordinator evaluating the expression
+     *
+     * @member {MathWorkers.Parallel}
+     * @private
+     */
+    this.parallel = parallel;
+
+    /**
+     * The Vectors of the expression, the first being its start
+     *
+     * @member {Array.<MathWorkers.Vector>}
+     * @private
+     */
+    this.operands = operands;
+
+    /**
+     * The recorded operations
+     *
+     * @member {Array.<Object>}
+     * @private
+     */
+    this.steps = steps;
+
+    /**
+     * The length of the Vectors of the expression
+     *
+     * @member {number}
+     */
+    this.length = operands[0].length;
+};
+
+/**
+ * Record an element-wise operation with a Vector
+ *
+ * @param {!string} op the operation
+ * @param {!MathWorkers.Vector} w the Vector operand
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ * @ignore
+ */
+MathWorkers.Expression.prototype.withVector = function(op, w) {
+    MathWorkers.util.checkVectors(this.operands[0], w);
+    var operands = this.operands.slice();
+    var index = operands.indexOf(w);
+    if (index < 0) {
+        // Each Vector is sent to the workers only once
+        index = operands.push(w) - 1;
+    }
+    return new MathWorkers.Expression(this.parallel, operands, this.steps.concat([{op: op, operand: index}]));
+};
+
+/**
+ * Add a Vector to this expression (element-wise)
+ *
+ * @param {!MathWorkers.Vector} w the Vector to add
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.plus = function(w) {
+    return this.withVector("plus", w);
+};
+
+/**
+ * Subtract a Vector from this expression (element-wise)
+ *
+ * @param {!MathWorkers.Vector} w the Vector to subtract
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.minus = function(w) {
+    return this.withVector("minus", w);
+};
+
+/**
+ * Multiply this expression by a Vector (element-wise)
+ *
+ * @param {!MathWorkers.Vector} w the Vector to multiply by
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.times = function(w) {
+    return this.withVector("times", w);
+};
+
+/**
+ * Divide this expression by a Vector (element-wise)
+ *
+ * @param {!MathWorkers.Vector} w the Vector to divide by
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.divide = function(w) {
+    return this.withVector("divide", w);
+};
+
+/**
+ * Multiply this expression by a scalar
+ *
+ * @param {!number} alpha the scalar to multiply by
+ * @returns {MathWorkers.Expression} the new expression
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.scale = function(alpha) {
+    MathWorkers.util.checkNumber(alpha);
+    return new MathWorkers.Expression(this.parallel, this.operands, this.steps.concat([{op: "scale", alpha: alpha}]));
+};
+
+/**
+ * Evaluate the sum of the elements of this expression on the workers
+ *
+ * @returns {Promise} resolved with the sum
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.sum = function() {
+    return this.parallel.execute("_parallelExpression", this.operands, {steps: this.steps, reduce: "sum"});
+};
+
+/**
+ * Evaluate the product of the elements of this expression on the workers
+ *
+ * @returns {Promise} resolved with the product
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.product = function() {
+    return this.parallel.execute("_parallelExpression", this.operands, {steps: this.steps, reduce: "product"});
+};
+
+/**
+ * Evaluate this expression on the workers
+ *
+ * @returns {Promise} resolved with the resulting Vector
+ * @memberof MathWorkers.Expression
+ */
+MathWorkers.Expression.prototype.evaluate = function() {
+    return this.parallel.execute("_parallelExpression", this.operands, {steps: this.steps, reduce: null});
+};
+
+/**
+ * Evaluate this worker's part of an expression in a single pass, then reduce or gather the result.
+ *
+ * @param {!Array.<MathWorkers.Vector>} operands the Vectors of the expression
+ * @param {!Object} spec the recorded operations and the reduction ("sum", "product" or null to gather)
+ * @param {!string} tag message tag
+ * @ignore
+ */
+var evaluateExpression = function(operands, spec, tag) {
+    var n = operands[0].length;
+    var lb = MathWorkers.util.loadBalance(n);
+    var steps = spec.steps;
+    var nSteps = steps.length;
+    var arrays = operands.map(function(w) {
+        return w.array;
+    });
+    var out = spec.reduce ? null : new Float64Array(lb.ito - lb.ifrom);
+    var acc = spec.reduce === "product" ? 1.0 : 0.0;
+    var i, s, x, step;
+    for (i = lb.ifrom; i < lb.ito; ++i) {
+        x = arrays[0][i];
+        for (s = 0; s < nSteps; ++s) {
+            step = steps[s];
+            switch (step.op) {
+                case "plus":
+                    x += arrays[step.operand][i];
+                    break;
+                case "minus":
+                    x -= arrays[step.operand][i];
+                    break;
+                case "times":
+                    x *= arrays[step.operand][i];
+                    break;
+                case "divide":
+                    x /= arrays[step.operand][i];
+                    break;
+                case "scale":
+                    x *= step.alpha;
+                    break;
+                default:
+                    throw new Error("Invalid expression operation: " + step.op);
+            }
+        }
+        if (out) {
+            out[i - lb.ifrom] = x;
+        } else if (spec.reduce === "product") {
+            acc *= x;
+        } else {
+            acc += x;
+        }
+    }
+    if (out) {
+        MathWorkers.MathWorker.gatherVector(out, n, lb.ifrom, tag);
+    } else {
+        MathWorkers.MathWorker.reduce(acc, spec.reduce, tag);
+    }
+};
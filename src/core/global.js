@@ -18,10 +18,34 @@ MathWorkers.Global.getVersion = function () {
 };
 
 // Globally scoped useful variables, defaults
-global.workerPool = [];
 global.nWorkers = 1;
 global.myWorkerId = 0;
 
+// Relative speeds of the workers used for weighted load balancing, null for an even split
+global.workerWeights = null;
+
+// Id of the coordinator request currently being handled by this worker
+global.requestId = null;
+
+// Coordinator clock time at which the request currently being handled was sent, echoed back to time it
+global.requestTime = null;
+
+// Ids of coordinator requests cancelled while this worker was handling them or had them queued
+global.cancelledRequests = {};
+
+// Number of most recent request ids for which failed or cancelled requests are remembered, so that their
+// bookkeeping does not grow without bound. Late messages of older requests no longer in flight are discarded.
+global.requestWindow = 1000;
+
+// Number of messages this worker has posted to its coordinator
+global.nPosted = 0;
+
+// Chunk of the work this worker handles in dynamic scheduling mode, {index, nChunks}, null otherwise
+global.chunk = null;
+
+// Shared Vector or Matrix into which this worker writes gathered results for the current request
+global.sharedOutput = null;
+
 global.logLevel = 1;
 /**
  * <p>Sets the MathWorkers log level:</p>
@@ -59,56 +83,22 @@ MathWorkers.Global.setUnrollLoops = function(unroll) {
     global.unrollLoops = unroll;
 };
 
+global.isNode = false;
+
 /**
- * Creates the internal worker pool.
- * Attempts to use node.js cluster workers first.
- * Then checks if Web Worker supported in browser.
+ * URL from which the browser loaded this library, imported by inline workers
  *
  * @ignore
  */
-global.createPool = function(nWorkersInput, workerScriptName) {
-
-    var i, worker;
-
-    function createInitData(i) {
-        return {
-            handle: "_init", id: i, nWorkers: nWorkersInput,
-            logLevel: global.logLevel, unrollLoops: global.unrollLoops
-        };
-    }
-
-    if (global.isNode) {
-        // Node.js cluster workers
-        global.nodeCluster = require("cluster");
-        if (global.nodeCluster.isMaster) {
-            for (i = 0; i < nWorkersInput; ++i) {
-                worker = global.nodeCluster.fork();
-                worker.send(createInitData(i));
-                this.workerPool.push(worker);
-                this.nWorkers = this.workerPool.length;
-            }
-        } else if (global.nodeCluster.isWorker) {
-            // worker loads script here
-            require(workerScriptName);
-        }
-    } else {
-        // HTML5 Web Workers
-        MathWorkers.util.checkWebWorkerSupport();
-        for (i = 0; i < nWorkersInput; ++i) {
-            worker = new Worker(workerScriptName);
-            worker.postMessage(createInitData(i));
-            this.workerPool.push(worker);
-            this.nWorkers = this.workerPool.length;
-        }
-    }
+global.libraryUrl = (typeof document !== "undefined" && document.currentScript) ? document.currentScript.src : null;
 
-    this.getWorker = function(workerId) {
-        return this.workerPool[workerId];
-    };
-};
+/**
+ * The transport this worker uses to talk to its coordinator: "webworker", "cluster" or "worker_threads"
+ *
+ * @ignore
+ */
+global.transport = "webworker";
 
-global.isNode = false;
-global.nodeCluster = {};
 /**
  * Turn off/on node.js mode
  *
@@ -120,10 +110,24 @@ MathWorkers.Global.setNode = function(node) {
     global.isNode = node;
 };
 
+/**
+ * Check whether this code is executing in a node.js worker thread
+ *
+ * @ignore
+ * @returns {boolean} true if running in a worker thread, false in the main thread or if worker threads are unsupported
+ */
+global.isNodeWorkerThread = function() {
+    try {
+        return !require("worker_threads").isMainThread;
+    } catch (e) {
+        return false;
+    }
+};
+
 // TODO: temporary
 MathWorkers.Global.isMaster = function() {
-    return global.isNode && global.nodeCluster && global.nodeCluster.isMaster;
+    return global.isNode && !require("cluster").isWorker && !global.isNodeWorkerThread();
 };
 MathWorkers.Global.isWorker = function() {
-    return global.isNode && global.nodeCluster && global.nodeCluster.isWorker;
+    return global.isNode && (require("cluster").isWorker || global.isNodeWorkerThread());
 };
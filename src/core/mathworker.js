@@ -9,6 +9,10 @@
  * @memberof MathWorkers
  */
 MathWorkers.MathWorker = function() {
+    var that = this;
+
+    // Each MathWorker has its own event listeners, one event per trigger tag
+    EventEmitter.call(this);
 
     /**
      * Buffer for data received from the coordinator
@@ -19,12 +23,12 @@ MathWorkers.MathWorker = function() {
     var objectBuffer = {};
 
     /**
-     * An object mapping an event tag key to a registered callback value
+     * Adds a listener for an event, see EventEmitter.on()
      *
-     * @member {Object}
+     * @member {function}
      * @private
      */
-    var triggers = {};
+    var addListener = this.on;
 
     /**
      * Retrieve the id number of the MathWorker
@@ -56,7 +60,58 @@ MathWorkers.MathWorker = function() {
     };
 
     /**
-     * Register an event with a callback to be executed when the coordinator triggers the event
+     * Data sent by the coordinator under a name, keyed by name
+     *
+     * @member {Object}
+     * @private
+     */
+    var store = {};
+
+    /**
+     * Fetch data stored under a name: data broadcast by the coordinator with a name option,
+     * the result of a worker operation rebroadcast with a name, or data set on this worker.
+     *
+     * @param {!string} name the name of the data
+     * @returns {Object} the data, or undefined if nothing is stored under the name
+     */
+    this.get = function(name) {
+        return store[name];
+    };
+
+    /**
+     * Check whether data is stored under a name
+     *
+     * @param {!string} name the name of the data
+     * @returns {boolean} true if data is stored under the name
+     */
+    this.has = function(name) {
+        return store.hasOwnProperty(name);
+    };
+
+    /**
+     * Store data under a name on this worker
+     *
+     * @param {!string} name the name of the data
+     * @param {Object} value the data
+     */
+    this.set = function(name, value) {
+        MathWorkers.util.checkNullOrUndefined(name);
+        store[name] = value;
+    };
+
+    /**
+     * Free data stored under a name on this worker
+     *
+     * @param {!string} name the name of the data
+     */
+    this.remove = function(name) {
+        delete store[name];
+    };
+
+    /**
+     * Register an event with a callback to be executed when the coordinator triggers the event.
+     * Several callbacks can be registered for an event, they are executed in the order they were registered.
+     * Remove a callback with off().
      *
      * @param {!string} tag the unique label for the event being registered
      * @param {function} callback the callback function to be registered
@@ -65,7 +120,7 @@ MathWorkers.MathWorker = function() {
         if (global.logLevel > 2) {
             console.log("registering trigger: " + tag);
         }
-        triggers[tag] = [callback];
+        addListener(tag, callback);
     };
 
     /**
@@ -78,6 +133,42 @@ MathWorkers.MathWorker = function() {
         comm.postMessage({handle: "_sendData", id: global.myWorkerId, tag: tag, data: data});
     };
 
+    /**
+     * Send data, a Vector or a Matrix to another worker, routed through the coordinator. The receiving
+     * worker's callbacks for the tag receive the data, and {from} metadata with the id of this worker.
+     * A shared Vector or Matrix is not copied: the receiving worker reads it in place.
+     *
+     * @param {!number} workerId the id of the receiving worker
+     * @param {(Object|MathWorkers.Vector|MathWorkers.Matrix)} payload JSON-serializable data, a Vector or a Matrix
+     * @param {!string} tag message tag
+     */
+    this.sendToWorker = function(workerId, payload, tag) {
+        MathWorkers.util.checkNumber(workerId);
+        MathWorkers.util.checkNullOrUndefined(tag);
+        var message = {handle: "_sendToWorker", id: global.myWorkerId, to: workerId, tag: tag};
+        var buffers = [];
+        if (payload instanceof MathWorkers.Vector || payload instanceof MathWorkers.Matrix) {
+            message.kind = payload instanceof MathWorkers.Vector ? "_broadcastVector" : "_broadcastMatrix";
+            if (payload.isShared() && comm.supportsSharedMemory()) {
+                message.shared = comm.sharedDescriptor(payload);
+            } else if (payload instanceof MathWorkers.Vector) {
+                // Copy, since the buffer is transferred
+                message.vec = comm.encodeBuffer(new Float64Array(payload.array).buffer);
+                buffers.push(message.vec);
+            } else {
+                message.nrows = payload.nrows;
+                for (var i = 0; i < payload.nrows; ++i) {
+                    message[i] = comm.encodeBuffer(new Float64Array(payload.array[i]).buffer);
+                    buffers.push(message[i]);
+                }
+            }
+        } else {
+            message.kind = "_broadcastData";
+            message.data = payload;
+        }
+        comm.postMessage(message, buffers);
+    };
+
     /**
      * Send a Vector to the coordinator
      *
@@ -87,11 +178,7 @@ MathWorkers.MathWorker = function() {
       this.sendVectorToCoordinator = function(vec, tag) {
           // only id 0 does the sending actually
           if (global.myWorkerId === 0) {
-              var buf = vec.array.buffer;
-              if (global.isNode) {
-                  // Convert ArrayBuffer to a string for communication
-                  buf = MathWorkers.util.ab2str(buf);
-              }
+              var buf = comm.encodeBuffer(vec.array.buffer);
               comm.postMessage({
                   handle: "_vectorSendToCoordinator", tag: tag,
                   vectorBuffer: buf
@@ -109,17 +196,10 @@ MathWorkers.MathWorker = function() {
           // only id 0 does the sending actually
           if (global.myWorkerId === 0) {
               var matObject = {handle: "_matrixSendToCoordinator", tag: tag, nrows: mat.nrows};
-              var i, matBufferList = [];
-              if (global.isNode) {
-                  for (i = 0; i < mat.nrows; ++i) {
-                      // Convert ArrayBuffer to a string
-                      matObject[i] = MathWorkers.util.ab2str(mat.array[i].buffer);
-                  }
-              } else {
-                  for (i = 0; i < mat.nrows; ++i) {
-                      matObject[i] = mat.array[i].buffer;
-                      matBufferList.push(mat.array[i].buffer);
-                  }
+              var matBufferList = [];
+              for (var i = 0; i < mat.nrows; ++i) {
+                  matObject[i] = comm.encodeBuffer(mat.array[i].buffer);
+                  matBufferList.push(matObject[i]);
               }
               comm.postMessage(matObject, matBufferList);
           }
@@ -141,6 +221,9 @@ MathWorkers.MathWorker = function() {
             case "_trigger":
                 handleTrigger(data);
                 break;
+            case "_register":
+                handleRegister(data);
+                break;
             case "_broadcastData":
                 handleBroadcastData(data);
                 break;
@@ -150,6 +233,27 @@ MathWorkers.MathWorker = function() {
             case "_broadcastMatrix":
                 handleBroadcastMatrix(data);
                 break;
+            case "_scatterVector":
+                handleScatterVector(data);
+                break;
+            case "_scatterMatrixRows":
+                handleScatterMatrixRows(data);
+                break;
+            case "_distributed":
+                handleDistributed(data);
+                break;
+            case "_remove":
+                delete store[data.name];
+                break;
+            case "_cancel":
+                handleCancel(data);
+                break;
+            case "_calibrate":
+                handleCalibrate(data);
+                break;
+            case "_weights":
+                handleWeights(data);
+                break;
             default:
                 console.error("Invalid MathWorker handle: " + data.handle);
         }
@@ -157,7 +261,7 @@ MathWorkers.MathWorker = function() {
 
     /**
      * MathWorker initialization. This message is received upon the coordinator creating this worker for
-     * the worker pool in MathWorkers.global.createPool().
+     * the worker pool of the coordinator.
      * Sets various internal variables for this worker, and then sends a ready message to the coordinator.
      *
      * @param {Object} data message data
@@ -166,8 +270,14 @@ MathWorkers.MathWorker = function() {
     var handleInit = function(data) {
         global.myWorkerId = data.id;
         global.nWorkers = data.nWorkers;
+        global.workerWeights = data.weights || null;
         global.unrollLoops = data.unrollLoops;
         global.logLevel = data.logLevel;
+        // Partitions of distributed objects no longer match a resized pool
+        residents = {};
+        // Not part of the last request handled, which may have failed or been cancelled since
+        global.requestId = null;
+        global.requestTime = null;
         if (global.logLevel > 2) {
                 console.log("Initialized MathWorker: " + global.myWorkerId + " of " + global.nWorkers + " workers.");
             }
@@ -176,21 +286,157 @@ MathWorkers.MathWorker = function() {
 
     /**
      * When the coordinator issues a trigger message, execute the registered callback corresponding to the message tag.
+     * If the callback throws, the error is reported to the coordinator rather than leaving it waiting.
      *
      * @param {Object} data message data
      * @param {Object} [obj] optional object to pass as an argument to the callback
+     * @param {Object} [meta] optional metadata to pass as a second argument to the callback
      * @private
      */
-    var handleTrigger = function(data, obj) {
-        if (triggers[data.tag]) {
-            triggers[data.tag] = triggers[data.tag] || [];
-            var args = data.data || obj || [];
-            triggers[data.tag].forEach( function(fn) {
-                fn.call(this, args);
-            });
-        } else {
+    var handleTrigger = function(data, obj, meta) {
+        if (global.cancelledRequests[data.requestId]) {
+            // Work still queued for a cancelled request is dropped
+            return;
+        }
+        global.requestId = MathWorkers.util.nullOrUndefined(data.requestId) ? null : data.requestId;
+        global.requestTime = MathWorkers.util.nullOrUndefined(data.requestTime) ? null : data.requestTime;
+        global.sharedOutput = data.output ? comm.fromSharedDescriptor(data.output) : null;
+        global.chunk = data.chunk || null;
+        if (that.listenerCount(data.tag) > 0) {
+            var args = data.args || data.data || obj || [];
+            var nPosted = global.nPosted;
+            try {
+                that.emit(data.tag, args, meta);
+            } catch (err) {
+                global.chunk = null;
+                postError(data.tag, err);
+                return;
+            }
+            if (global.chunk) {
+                // Done with this chunk, ask the coordinator for another
+                global.chunk = null;
+                comm.postMessage({handle: "_chunkDone", id: global.myWorkerId, tag: data.tag});
+            } else if (data.handle === "_trigger" && global.nPosted === nPosted) {
+                // Nothing reported, tell the coordinator this worker is done with the request
+                comm.postMessage({handle: "_triggerDone", id: global.myWorkerId, tag: data.tag});
+            }
+        } else if (MathWorkers.util.nullOrUndefined(data.name)) {
+            // Named data has been stored for later use, so a listener is optional
             console.error("Unregistered trigger tag: " + data.tag);
+            postError(data.tag, new Error("Unregistered trigger tag: " + data.tag));
+        }
+    };
+
+    /**
+     * Register a callback shipped as source code by the coordinator, see Coordinator.register().
+     * The callback is compiled without its original closure: it sees only its arguments, the global
+     * MathWorkers namespace and this MathWorker as worker. A callback that fails to compile is reported
+     * to the coordinator.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleRegister = function(data) {
+        // Compiling the shipped source is the point of this handler, the option only applies to its scope
+        /* jshint evil: true */
+        var callback;
+        try {
+            callback = new Function("MathWorkers", "worker", "\"use strict\"; return (" + data.source + ");")(
+                MathWorkers, that);
+            MathWorkers.util.checkFunction(callback);
+        } catch (err) {
+            // Reported as an error of the coordinator, not of the last request handled
+            global.requestId = null;
+            global.requestTime = null;
+            postError(data.tag, err);
+            return;
+        }
+        that.on(data.tag, callback);
+    };
+
+    /**
+     * Time this worker on a small kernel, repeated dot products of random Vectors,
+     * and report the elapsed time to the coordinator for weighted load balancing.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleCalibrate = function(data) {
+        global.requestId = data.requestId;
+        global.requestTime = data.requestTime;
+        var v = MathWorkers.Vector.randomVector(data.size);
+        var w = MathWorkers.Vector.randomVector(data.size);
+        var start = MathWorkers.util.now();
+        for (var r = 0; r < data.repeat; ++r) {
+            v.dotVector(w);
         }
+        var time = MathWorkers.util.now() - start;
+        comm.postMessage({handle: "_calibrated", id: global.myWorkerId, tag: "_calibrate", time: time});
+    };
+
+    /**
+     * Set the worker weights used for weighted load balancing
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleWeights = function(data) {
+        global.workerWeights = data.weights;
+    };
+
+    /**
+     * Execute an operation on the distributed Vectors and Matrices resident on this worker.
+     * If it fails, the error is reported to the coordinator.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleDistributed = function(data) {
+        if (global.cancelledRequests[data.requestId]) {
+            return;
+        }
+        global.requestId = data.requestId;
+        global.requestTime = data.requestTime;
+        global.sharedOutput = null;
+        global.chunk = null;
+        try {
+            handleDistributedMessage(data);
+        } catch (err) {
+            postError("_distributed", err);
+        }
+    };
+
+    /**
+     * The coordinator cancelled a request. Messages still queued for it are dropped, and
+     * messages posted for it from now on are not sent. Cancellations older than the
+     * global.requestWindow most recent requests are forgotten.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleCancel = function(data) {
+        global.cancelledRequests[data.requestId] = true;
+        for (var requestId in global.cancelledRequests) {
+            if (global.cancelledRequests.hasOwnProperty(requestId) &&
+                    Number(requestId) <= data.requestId - global.requestWindow) {
+                delete global.cancelledRequests[requestId];
+            }
+        }
+    };
+
+    /**
+     * Report an error raised while handling a coordinator message back to the coordinator.
+     *
+     * @param {string} tag the tag of the message being handled
+     * @param {*} err the error thrown
+     * @private
+     */
+    var postError = function(tag, err) {
+        var isError = err instanceof Error;
+        comm.postMessage({
+            handle: "_error", id: global.myWorkerId, tag: tag,
+            message: isError ? err.message : String(err), stack: isError ? err.stack : null
+        });
     };
 
     /**
@@ -202,7 +448,32 @@ MathWorkers.MathWorker = function() {
      */
     var handleBroadcastData = function(data) {
         objectBuffer = data.data;
-        handleTrigger(data);
+        storeBroadcast(data);
+        handleTrigger(data, null, senderMeta(data));
+    };
+
+    /**
+     * Metadata passed to the callbacks of data sent to this worker only, with the id of the sending
+     * worker as from, null if sent by the coordinator
+     *
+     * @param {Object} data message data
+     * @returns {Object} the metadata, undefined for a broadcast
+     * @private
+     */
+    var senderMeta = function(data) {
+        return data.hasOwnProperty("from") ? {from: data.from} : undefined;
+    };
+
+    /**
+     * Store the broadcast object in the objectBuffer also under its name, if it was sent with one
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var storeBroadcast = function(data) {
+        if (!MathWorkers.util.nullOrUndefined(data.name)) {
+            store[data.name] = objectBuffer;
+        }
     };
 
     /**
@@ -213,13 +484,14 @@ MathWorkers.MathWorker = function() {
      * @private
      */
     var handleBroadcastVector = function(data) {
-        var buf = data.vec;
-        if (global.isNode) {
-            // Convert string to ArrayBuffer
-            buf = MathWorkers.util.str2ab(buf);
+        if (data.shared) {
+            // Shared Vector is read in place
+            objectBuffer = comm.fromSharedDescriptor(data.shared);
+        } else {
+            objectBuffer = MathWorkers.Vector.fromArray(new Float64Array(comm.decodeBuffer(data.vec)));
         }
-        objectBuffer = MathWorkers.Vector.fromArray(new Float64Array(buf));
-        handleTrigger(data, objectBuffer);
+        storeBroadcast(data);
+        handleTrigger(data, objectBuffer, senderMeta(data));
     };
 
     /**
@@ -230,21 +502,57 @@ MathWorkers.MathWorker = function() {
      * @private
      */
     var handleBroadcastMatrix = function(data) {
-        var i, tmp = [];
-        if (global.isNode) {
-            for (i = 0; i < data.nrows; ++i) {
-                // Convert string to ArrayBuffer
-                tmp.push(new Float64Array(MathWorkers.util.str2ab(data[i])));
-            }
-        } else {
-            for (i = 0; i < data.nrows; ++i) {
-                tmp.push(new Float64Array(data[i]));
-            }
+        if (data.shared) {
+            // Shared Matrix is read in place
+            objectBuffer = comm.fromSharedDescriptor(data.shared);
+            storeBroadcast(data);
+            handleTrigger(data, objectBuffer, senderMeta(data));
+            return;
+        }
+        var tmp = [];
+        for (var i = 0; i < data.nrows; ++i) {
+            tmp.push(new Float64Array(comm.decodeBuffer(data[i])));
+        }
+        objectBuffer = new MathWorkers.Matrix();
+        objectBuffer.setMatrix(tmp);
+        storeBroadcast(data);
+        handleTrigger(data, objectBuffer, senderMeta(data));
+    };
+
+    /**
+     * Place this worker's partition of a scattered Vector into the objectBuffer.
+     * Then, trigger the corresponding event with the partition and {offset, length} metadata,
+     * the offset of the partition in the scattered Vector and the length of the scattered Vector.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleScatterVector = function(data) {
+        objectBuffer = new MathWorkers.Vector();
+        objectBuffer.setVector(new Float64Array(comm.decodeBuffer(data.vec)));
+        handleTrigger(data, objectBuffer, {offset: data.offset, length: data.length});
+    };
+
+    /**
+     * Place this worker's rows of a scattered Matrix into the objectBuffer.
+     * Then, trigger the corresponding event with the rows and {offset, nrows, ncols} metadata,
+     * the row offset of the partition in the scattered Matrix and the size of the scattered Matrix.
+     *
+     * @param {Object} data message data
+     * @private
+     */
+    var handleScatterMatrixRows = function(data) {
+        var tmp = [];
+        for (var i = 0; i < data.nrowsPart; ++i) {
+            tmp.push(new Float64Array(comm.decodeBuffer(data[i])));
         }
         objectBuffer = new MathWorkers.Matrix();
         objectBuffer.setMatrix(tmp);
-        handleTrigger(data, objectBuffer);
+        handleTrigger(data, objectBuffer, {offset: data.offset, nrows: data.nrows, ncols: data.ncols});
     };
+
+    // Callbacks of the operations of Coordinator.parallel
+    registerParallelCallbacks(this);
 };
 MathWorkers.MathWorker.prototype = new EventEmitter();
 
@@ -260,14 +568,22 @@ MathWorkers.MathWorker.prototype = new EventEmitter();
  * @param {!number} totalLength the total length of the gathered Vector
  * @param {!number} offset the offset to use in the gather for this worker's Vector section
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, have the coordinator broadcast the gathered Vector back to all workers,
- *                                stored in their objectBuffers. Otherwise, the gathered Vector remains in the
- *                                coordinator objectBuffer.
+ * @param {(boolean|string)} [rebroadcast] If true, have the coordinator broadcast the gathered Vector back to all workers,
+ *                                         stored in their objectBuffers. Otherwise, the gathered Vector remains in the
+ *                                         coordinator objectBuffer.
  * @ignore
  */
 MathWorkers.MathWorker.gatherVector = function(vec, totalLength, offset, tag, rebroadcast) {
     rebroadcast = rebroadcast || false;
-    var buf = global.isNode ? MathWorkers.util.ab2str(vec.buffer) : vec.buffer;
+    var output = global.sharedOutput;
+    if (output instanceof MathWorkers.Vector && output.length === totalLength) {
+        // Write this worker's section into the shared output, only a completion message is sent
+        output.array.set(vec, offset);
+        comm.postMessage({handle: "_gatherVector", tag: tag, id: global.myWorkerId, rebroadcast: rebroadcast,
+            len: totalLength, offset: offset, output: comm.sharedDescriptor(output)});
+        return;
+    }
+    var buf = comm.encodeBuffer(vec.buffer);
     comm.postMessage({handle: "_gatherVector", tag: tag, id: global.myWorkerId, rebroadcast: rebroadcast,
         len: totalLength, offset: offset, vectorPart: buf}, [buf]);
 };
@@ -279,25 +595,31 @@ MathWorkers.MathWorker.gatherVector = function(vec, totalLength, offset, tag, re
  * @param {!number} totalRows the total number of rows in the gathered Matrix
  * @param {!number} offset the row offset to use in the gather for this worker's Matrix rows
  * @param {!string} tag message tag
- * @param {boolean} rebroadcast If true, have the coordinator broadcast the gathered Matrix back to all workers,
- *                              stored in their objectBuffers. Otherwise, the gathered Matrix remains in the
- *                              coordinator objectBuffer.
+ * @param {(boolean|string)} rebroadcast If true, have the coordinator broadcast the gathered Matrix back to all workers,
+ *                                       stored in their objectBuffers. Otherwise, the gathered Matrix remains in the
+ *                                       coordinator objectBuffer.
+ * @param {number} [ncols] the number of columns of the gathered Matrix, needed if this worker has no rows
  * @ignore
  */
-MathWorkers.MathWorker.gatherMatrixRows = function(mat, totalRows, offset, tag, rebroadcast) {
+MathWorkers.MathWorker.gatherMatrixRows = function(mat, totalRows, offset, tag, rebroadcast, ncols) {
     rebroadcast = rebroadcast || false;
     var matObject = {handle: "_gatherMatrixRows", tag: tag, id: global.myWorkerId, rebroadcast: rebroadcast,
-        nrows: totalRows, ncols: mat[0].length, nrowsPart: mat.length, offset: offset};
-    var i, matBufferList = [];
-    if (global.isNode) {
+        nrows: totalRows, ncols: MathWorkers.util.nullOrUndefined(ncols) ? mat[0].length : ncols,
+        nrowsPart: mat.length, offset: offset};
+    var i, output = global.sharedOutput;
+    if (output instanceof MathWorkers.Matrix && output.nrows === totalRows && output.ncols === matObject.ncols) {
+        // Write this worker's rows into the shared output, only a completion message is sent
         for (i = 0; i < mat.length; ++i) {
-            matObject[i] = MathWorkers.util.ab2str(mat[i].buffer);
-        }
-    } else {
-        for (i = 0; i < mat.length; ++i) {
-            matObject[i] = mat[i].buffer;
-            matBufferList.push(mat[i].buffer);
+            output.array[offset + i].set(mat[i]);
         }
+        matObject.output = comm.sharedDescriptor(output);
+        comm.postMessage(matObject);
+        return;
+    }
+    var matBufferList = [];
+    for (i = 0; i < mat.length; ++i) {
+        matObject[i] = comm.encodeBuffer(mat[i].buffer);
+        matBufferList.push(matObject[i]);
     }
     comm.postMessage(matObject, matBufferList);
 };
@@ -310,42 +632,58 @@ MathWorkers.MathWorker.gatherMatrixRows = function(mat, totalRows, offset, tag,
  * @param {!number} totalCols the total number of columns in the gathered Matrix
  * @param {!number} offset the column offset to use in the gather for this worker's Matrix columns
  * @param {!string} tag message tag
- * @param {boolean} rebroadcast If true, have the coordinator broadcast the gathered Matrix back to all workers,
- *                              stored in their objectBuffers. Otherwise, the gathered Matrix remains in the
- *                              coordinator objectBuffer.
+ * @param {(boolean|string)} rebroadcast If true, have the coordinator broadcast the gathered Matrix back to all workers,
+ *                                       stored in their objectBuffers. Otherwise, the gathered Matrix remains in the
+ *                                       coordinator objectBuffer.
  * @ignore
  */
 MathWorkers.MathWorker.gatherMatrixColumns = function(mat, totalRows, totalCols, offset, tag, rebroadcast) {
     rebroadcast = rebroadcast || false;
     var matObject = {handle: "_gatherMatrixColumns", tag: tag, id: global.myWorkerId, rebroadcast: rebroadcast,
         nrows: totalRows, ncols: totalCols, nrowsPart: mat.length, offset: offset};
-    var i, matBufferList = [];
-    if (global.isNode) {
-        for (i = 0; i < mat.length; ++i) {
-            matObject[i] = MathWorkers.util.ab2str(mat[i].buffer);
-        }
-    } else {
-        for (i = 0; i < mat.length; ++i) {
-            matObject[i] = mat[i].buffer;
-            matBufferList.push(mat[i].buffer);
+    var i, k, output = global.sharedOutput;
+    if (output instanceof MathWorkers.Matrix && output.nrows === totalRows && output.ncols === totalCols) {
+        // Write this worker's (transposed) columns into the shared output, only a completion message is sent
+        for (k = 0; k < mat.length; ++k) {
+            for (i = 0; i < totalRows; ++i) {
+                output.array[i][offset + k] = mat[k][i];
+            }
         }
+        matObject.output = comm.sharedDescriptor(output);
+        comm.postMessage(matObject);
+        return;
+    }
+    var matBufferList = [];
+    for (i = 0; i < mat.length; ++i) {
+        matObject[i] = comm.encodeBuffer(mat[i].buffer);
+        matBufferList.push(matObject[i]);
     }
     comm.postMessage(matObject, matBufferList);
 };
 
+/**
+ * Position of this worker's partial result in the fixed order in which a deterministic coordinator
+ * combines reductions: the chunk index in dynamic scheduling mode, the worker id otherwise.
+ *
+ * @returns {number} the position
+ * @ignore
+ */
+var reductionPart = function() {
+    return global.chunk ? global.chunk.index : global.myWorkerId;
+};
+
 /**
  * Prepare and send a number total for a Vector reduction summation
  *
  * @param {!number} tot this worker's sum to be reduced
  * @param {!string} tag message tag
- * @param {boolean} rebroadcast If true, have the coordinator broadcast the reduced sum back to all workers,
- *                              stored in their objectBuffers. Otherwise, the reduced sum remains in the
- *                              coordinator objectBuffer.
+ * @param {(boolean|string)} rebroadcast If true, have the coordinator broadcast the reduced sum back to all workers,
+ *                                       stored in their objectBuffers. Otherwise, the reduced sum remains in the
+ *                                       coordinator objectBuffer.
  * @ignore
  */
 MathWorkers.MathWorker.reduceVectorSum = function(tot, tag, rebroadcast) {
-    rebroadcast = rebroadcast || false;
-	  comm.postMessage({handle: "_vectorSum", tag: tag, rebroadcast: rebroadcast, tot: tot});
+    MathWorkers.MathWorker.reduce(tot, "sum", tag, rebroadcast);
 };
 
 
@@ -354,13 +692,94 @@ MathWorkers.MathWorker.reduceVectorSum = function(tot, tag, rebroadcast) {
  *
  * @param {!number} tot this worker's product to be reduced
  * @param {!string} tag message tag
- * @param {boolean} rebroadcast If true, have the coordinator broadcast the reduced product back to all workers,
- *                              stored in their objectBuffers. Otherwise, the reduced product remains in the
- *                              coordinator objectBuffer.
+ * @param {(boolean|string)} rebroadcast If true, have the coordinator broadcast the reduced product back to all workers,
+ *                                       stored in their objectBuffers. Otherwise, the reduced product remains in the
+ *                                       coordinator objectBuffer.
  * @ignore
  */
 MathWorkers.MathWorker.reduceVectorProduct = function(tot, tag, rebroadcast) {
+    MathWorkers.MathWorker.reduce(tot, "product", tag, rebroadcast);
+};
+
+/**
+ * Combine a value from every worker into a single result on the coordinator.
+ * <p>Built-in reductions:</p>
+ * <ul>
+ *   <li> "sum", "product", "min", "max" of numbers </li>
+ *   <li> "argmin", "argmax" of {value, index} pairs, giving the pair with the smallest or largest value </li>
+ *   <li> "and", "or" of booleans </li>
+ * </ul>
+ * <p>Other reductions can be registered on the coordinator with Coordinator.registerReduction().</p>
+ *
+ * @param {*} value this worker's JSON-serializable partial result
+ * @param {!string} op the name of the reduction
+ * @param {!string} tag message tag
+ * @param {(boolean|string)} [rebroadcast] If true, have the coordinator broadcast the result back to all workers,
+ *                                         stored in their objectBuffers. Otherwise, the result remains in the
+ *                                         coordinator objectBuffer. If a string, the workers also store the
+ *                                         result under that name.
+ * @memberof MathWorkers.MathWorker
+ */
+MathWorkers.MathWorker.reduce = function(value, op, tag, rebroadcast) {
+    MathWorkers.util.checkNullOrUndefined(op);
+    MathWorkers.util.checkNullOrUndefined(tag);
     rebroadcast = rebroadcast || false;
-	  comm.postMessage({handle: "_vectorProduct", tag: tag, rebroadcast: rebroadcast, tot: tot});
+    comm.postMessage({handle: "_reduce", tag: tag, id: global.myWorkerId, part: reductionPart(),
+        rebroadcast: rebroadcast, op: op, value: value});
+};
+
+/**
+ * Combine a full-size Vector from every worker element-wise into a single Vector on the coordinator,
+ * for instance to sum partial gradients. The reduction is "sum", "max", "min", or the name of a
+ * reduction registered with Coordinator.registerReduction(), applied to each element.
+ *
+ * @param {!MathWorkers.Vector} vec this worker's partial Vector, of the same length on every worker
+ * @param {!string} op the name of the reduction
+ * @param {!string} tag message tag
+ * @param {(boolean|string)} [rebroadcast] If true, have the coordinator broadcast the reduced Vector back to all workers,
+ *                                         stored in their objectBuffers. Otherwise, the reduced Vector remains in the
+ *                                         coordinator objectBuffer. If a string, the workers also store the
+ *                                         reduced Vector under that name.
+ * @memberof MathWorkers.MathWorker
+ */
+MathWorkers.MathWorker.reduceVector = function(vec, op, tag, rebroadcast) {
+    MathWorkers.util.checkVector(vec);
+    MathWorkers.util.checkNullOrUndefined(op);
+    MathWorkers.util.checkNullOrUndefined(tag);
+    rebroadcast = rebroadcast || false;
+    // Copy, since the buffer is transferred
+    var buf = comm.encodeBuffer(new Float64Array(vec.array).buffer);
+    comm.postMessage({handle: "_reduceVector", tag: tag, id: global.myWorkerId, part: reductionPart(),
+        rebroadcast: rebroadcast, op: op, vectorPart: buf}, [buf]);
+};
+
+/**
+ * Combine a full-size Matrix from every worker element-wise into a single Matrix on the coordinator.
+ * The reduction is "sum", "max", "min", or the name of a reduction registered with
+ * Coordinator.registerReduction(), applied to each element.
+ *
+ * @param {!MathWorkers.Matrix} mat this worker's partial Matrix, of the same size on every worker
+ * @param {!string} op the name of the reduction
+ * @param {!string} tag message tag
+ * @param {(boolean|string)} [rebroadcast] If true, have the coordinator broadcast the reduced Matrix back to all workers,
+ *                                         stored in their objectBuffers. Otherwise, the reduced Matrix remains in the
+ *                                         coordinator objectBuffer. If a string, the workers also store the
+ *                                         reduced Matrix under that name.
+ * @memberof MathWorkers.MathWorker
+ */
+MathWorkers.MathWorker.reduceMatrix = function(mat, op, tag, rebroadcast) {
+    MathWorkers.util.checkMatrix(mat);
+    MathWorkers.util.checkNullOrUndefined(op);
+    MathWorkers.util.checkNullOrUndefined(tag);
+    rebroadcast = rebroadcast || false;
+    var matObject = {handle: "_reduceMatrix", tag: tag, id: global.myWorkerId, part: reductionPart(),
+        rebroadcast: rebroadcast, op: op, nrows: mat.nrows, ncols: mat.ncols};
+    var matBufferList = [];
+    for (var i = 0; i < mat.nrows; ++i) {
+        // Copy, since the buffers are transferred
+        matObject[i] = comm.encodeBuffer(new Float64Array(mat.array[i]).buffer);
+        matBufferList.push(matObject[i]);
+    }
+    comm.postMessage(matObject, matBufferList);
 };
 
@@ -134,6 +134,51 @@ MathWorkers.Matrix.zeroes = function(nrows, ncols) {
     return mat;
 };
 
+/**
+ * Create a new Matrix object populated with all zero values whose rows are allocated contiguously
+ * on a single SharedArrayBuffer. Shared Matrices are passed to and from workers without copying
+ * where the transport allows it.
+ *
+ * @param {!number} nrows the number of rows for the new Matrix
+ * @param {!number} ncols the number of columns for the new Matrix
+ * @returns {MathWorkers.Matrix} an nrows by ncols shared Matrix populated with zeroes
+ * @throws {Error} if SharedArrayBuffer is not supported
+ * @memberof MathWorkers.Matrix
+ */
+MathWorkers.Matrix.shared = function(nrows, ncols) {
+    MathWorkers.util.checkSharedMemorySupport();
+    var rowBytes = ncols * Float64Array.BYTES_PER_ELEMENT;
+    var buf = new SharedArrayBuffer(nrows * rowBytes);
+    var rows = new Array(nrows);
+    for (var i = 0; i < nrows; ++i) {
+        rows[i] = new Float64Array(buf, i * rowBytes, ncols);
+    }
+    var mat = new MathWorkers.Matrix();
+    mat.setMatrix(rows);
+    return mat;
+};
+
+/**
+ * Test if the rows of this Matrix are laid out contiguously on a single SharedArrayBuffer,
+ * as created by MathWorkers.Matrix.shared().
+ *
+ * @returns {boolean} true if this Matrix is backed by shared memory
+ * @memberof MathWorkers.Matrix
+ */
+MathWorkers.Matrix.prototype.isShared = function() {
+    if (this.nrows === 0 || !MathWorkers.util.isSharedArray(this.array[0])) {
+        return false;
+    }
+    var buf = this.array[0].buffer;
+    var rowBytes = this.ncols * Float64Array.BYTES_PER_ELEMENT;
+    for (var i = 1; i < this.nrows; ++i) {
+        if (this.array[i].buffer !== buf || this.array[i].byteOffset !== this.array[0].byteOffset + i * rowBytes) {
+            return false;
+        }
+    }
+    return true;
+};
+
 /**
  * Create a new Matrix object whose elements are those of an identity matrix.
  *
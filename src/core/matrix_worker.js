@@ -9,7 +9,8 @@
  *
  * @param {!MathWorkers.Matrix} B the Matrix to add to this Matrix
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerPlus = function(B, tag, rebroadcast) {
@@ -58,7 +59,8 @@ MathWorkers.Matrix.prototype.workerPlus = function(B, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Matrix} B the Matrix to subtract from this Matrix
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerMinus = function(B, tag, rebroadcast) {
@@ -107,7 +109,8 @@ MathWorkers.Matrix.prototype.workerMinus = function(B, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Matrix} B the Matrix to multiply with this Matrix
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerTimes = function(B, tag, rebroadcast) {
@@ -156,7 +159,8 @@ MathWorkers.Matrix.prototype.workerTimes = function(B, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Matrix} B the Matrix to divide this Matrix by
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerDivide = function(B, tag, rebroadcast) {
@@ -205,7 +209,8 @@ MathWorkers.Matrix.prototype.workerDivide = function(B, tag, rebroadcast) {
  *
  * @param {!number} alpha the scalar to multiply by
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerScale = function(alpha, tag, rebroadcast) {
@@ -253,7 +258,8 @@ MathWorkers.Matrix.prototype.workerScale = function(alpha, tag, rebroadcast) {
  *
  * @param {!function} fn the function to be applied to each element of this Matrix
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerApply = function(fn, tag, rebroadcast) {
@@ -302,7 +308,8 @@ MathWorkers.Matrix.prototype.workerApply = function(fn, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} v the Vector to be multiplied with
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerDotVector = function(v, tag, rebroadcast) {
@@ -339,7 +346,7 @@ MathWorkers.Matrix.prototype.workerDotVector = function(v, tag, rebroadcast) {
             w[offset++] = tot;
         }
     }
-    MathWorkers.MathWorker.gatherVector(w, v.length, lb.ifrom, tag, rebroadcast);
+    MathWorkers.MathWorker.gatherVector(w, this.nrows, lb.ifrom, tag, rebroadcast);
 };
 
 /**
@@ -348,7 +355,8 @@ MathWorkers.Matrix.prototype.workerDotVector = function(v, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Matrix} B the Matrix to multiply with this Matrix
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Matrix
  */
 MathWorkers.Matrix.prototype.workerDotMatrix = function(B, tag, rebroadcast) {
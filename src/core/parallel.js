@@ -0,0 +1,244 @@
+// Copyright 2014 Adrian W. Lange
+
+/**
+ * Ready-made parallel operations of a Coordinator, which need no worker code. The operands are
+ * broadcast to the workers, built-in worker callbacks run the usual worker kernels on them, and the
+ * result is gathered or reduced back. Every worker script that creates a MathWorker has the built-in
+ * callbacks, including inline workers.
+ * Available as the parallel member of a Coordinator, not created directly.
+ *
+ * @example
+ * coord.parallel.dotMatrix(A, B).then(function(C) {
+ *     console.log(C);
+ * });
+ *
+ * @param {!MathWorkers.Coordinator} coordinator the Coordinator whose workers execute the operations
+ * @constructor
+ * @memberof MathWorkers
+ */
+MathWorkers.Parallel = function(coordinator) {
+
+    /**
+     * The Coordinator whose workers execute the operations
+     *
+     * @member {MathWorkers.Coordinator}
+     * @private
+     */
+    this.coordinator = coordinator;
+
+    /**
+     * Number of operands sent to the workers so far, used to name them
+     *
+     * @member {number}
+     * @private
+     */
+    this.nOperands = 0;
+};
+
+/**
+ * Broadcast an operand to the workers under a fresh name
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} x the operand
+ * @returns {string} the name under which the workers store the operand
+ * @memberof MathWorkers.Parallel
+ * @ignore
+ */
+MathWorkers.Parallel.prototype.sendOperand = function(x) {
+    var name = "_parallel" + this.nOperands++;
+    if (x instanceof MathWorkers.Matrix) {
+        this.coordinator.sendMatrixToWorkers(x, "_parallelStore", {name: name});
+    } else {
+        this.coordinator.sendVectorToWorkers(x, "_parallelStore", {name: name});
+    }
+    return name;
+};
+
+/**
+ * Run a built-in worker callback on operands, then free the operands on the workers.
+ * The callback receives the names of the operands and the JSON-serializable description
+ * of the operation as its arguments.
+ *
+ * @param {!string} tag the tag of the built-in callback
+ * @param {!Array} operands the operands of the callback
+ * @param {Object} [spec] description of the operation
+ * @returns {Promise} resolved with the result of the callback
+ * @memberof MathWorkers.Parallel
+ * @ignore
+ */
+MathWorkers.Parallel.prototype.execute = function(tag, operands, spec) {
+    MathWorkers.util.checkPromiseSupport();
+    var coordinator = this.coordinator;
+    var names = operands.map(this.sendOperand, this);
+    var free = function() {
+        names.forEach(coordinator.removeFromWorkers);
+    };
+    return coordinator.run(tag, [names, spec]).then(function(result) {
+        free();
+        return result;
+    }, function(err) {
+        // A terminated Coordinator has no workers left to free the operands on
+        if (!err.terminated) {
+            free();
+        }
+        throw err;
+    });
+};
+
+/**
+ * Compute the dot product of a Vector, or the matrix-vector product of a Matrix, with a Vector in parallel.
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} x the Vector or Matrix on the left of the product
+ * @param {!MathWorkers.Vector} v the Vector on the right of the product
+ * @returns {Promise} resolved with x.v: a number if x is a Vector, a Vector if x is a Matrix
+ * @memberof MathWorkers.Parallel
+ */
+MathWorkers.Parallel.prototype.dotVector = function(x, v) {
+    if (x instanceof MathWorkers.Matrix) {
+        MathWorkers.util.checkMatrixVector(x, v);
+    } else {
+        MathWorkers.util.checkVectors(x, v);
+    }
+    return this.execute("_parallelDot", [x, v]);
+};
+
+/**
+ * Compute the vector-matrix product of a Vector, or the matrix-matrix product of a Matrix,
+ * with a Matrix in parallel.
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} x the Vector or Matrix on the left of the product
+ * @param {!MathWorkers.Matrix} B the Matrix on the right of the product
+ * @returns {Promise} resolved with x.B: a Vector if x is a Vector, a Matrix if x is a Matrix
+ * @memberof MathWorkers.Parallel
+ */
+MathWorkers.Parallel.prototype.dotMatrix = function(x, B) {
+    if (x instanceof MathWorkers.Matrix) {
+        MathWorkers.util.checkMatrixMatrix(x, B);
+    } else {
+        MathWorkers.util.checkVectorMatrix(x, B);
+    }
+    return this.execute("_parallelDot", [x, B]);
+};
+
+/**
+ * Start a lazy expression on a Vector, see MathWorkers.Expression
+ *
+ * @param {!MathWorkers.Vector} v the Vector the expression starts from
+ * @returns {MathWorkers.Expression} the expression
+ * @memberof MathWorkers.Parallel
+ */
+MathWorkers.Parallel.prototype.expr = function(v) {
+    MathWorkers.util.checkVector(v);
+    return new MathWorkers.Expression(this, [v], []);
+};
+
+/**
+ * Compute summary statistics of the elements of a Vector or Matrix in parallel, as
+ * MathWorkers.Stats.summary() does. Quartiles need the whole sorted sample, so they are not computed.
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} x the Vector or Matrix to be summarized
+ * @returns {Promise} resolved with the StatisticsSummary of x, whose quartiles are undefined
+ * @memberof MathWorkers.Parallel
+ */
+MathWorkers.Parallel.prototype.summary = function(x) {
+    if (x instanceof MathWorkers.Matrix) {
+        MathWorkers.util.checkMatrix(x);
+    } else {
+        MathWorkers.util.checkVector(x);
+    }
+    return this.execute("_parallelSummary", [x]).then(function(parts) {
+        var tot = {n: 0, mean: 0.0, m2: 0.0, minimum: Infinity, maximum: -Infinity};
+        parts.forEach(function(part) {
+            if (part.n === 0) {
+                return;
+            }
+            // Combine the means and sums of squared deviations of the two samples
+            var n = tot.n + part.n;
+            var delta = part.mean - tot.mean;
+            tot.mean += delta * part.n / n;
+            tot.m2 += part.m2 + delta * delta * tot.n * part.n / n;
+            tot.n = n;
+            tot.minimum = Math.min(tot.minimum, part.minimum);
+            tot.maximum = Math.max(tot.maximum, part.maximum);
+        });
+        var variance = tot.m2 / tot.n;
+        return {
+            n: tot.n,
+            mean: tot.mean,
+            variance: variance,
+            stddev: Math.sqrt(variance),
+            minimum: tot.minimum,
+            maximum: tot.maximum,
+            quartile25: undefined,
+            quartile50: undefined,
+            quartile75: undefined
+        };
+    });
+};
+
+/**
+ * Summarize this worker's part of a Vector or Matrix: its number of elements, mean, sum of squared
+ * deviations from the mean, minimum and maximum. A Matrix is divided among the workers by rows.
+ *
+ * @param {!(MathWorkers.Vector|MathWorkers.Matrix)} x the Vector or Matrix
+ * @returns {Object} the summary of the part
+ * @ignore
+ */
+var summarizePart = function(x) {
+    var rows;
+    var lb;
+    if (x instanceof MathWorkers.Matrix) {
+        lb = MathWorkers.util.loadBalance(x.nrows);
+        rows = x.array.slice(lb.ifrom, lb.ito);
+    } else {
+        lb = MathWorkers.util.loadBalance(x.length);
+        rows = [x.array.subarray(lb.ifrom, lb.ito)];
+    }
+    var i, j;
+    var n = 0;
+    var tot = 0.0;
+    var amin = Infinity;
+    var amax = -Infinity;
+    for (i = 0; i < rows.length; ++i) {
+        for (j = 0; j < rows[i].length; ++j) {
+            tot += rows[i][j];
+            amin = Math.min(amin, rows[i][j]);
+            amax = Math.max(amax, rows[i][j]);
+        }
+        n += rows[i].length;
+    }
+    var mean = n > 0 ? tot / n : 0.0;
+    var m2 = 0.0;
+    for (i = 0; i < rows.length; ++i) {
+        for (j = 0; j < rows[i].length; ++j) {
+            m2 += (rows[i][j] - mean) * (rows[i][j] - mean);
+        }
+    }
+    return {n: n, mean: mean, m2: m2, minimum: amin, maximum: amax};
+};
+
+/**
+ * Register the built-in callbacks executing the operations of MathWorkers.Parallel on a MathWorker.
+ * The operands arrive under the names passed as first argument.
+ *
+ * @param {!MathWorkers.MathWorker} worker the MathWorker
+ * @ignore
+ */
+var registerParallelCallbacks = function(worker) {
+    worker.on("_parallelDot", function(args) {
+        var x = worker.get(args[0][0]);
+        var y = worker.get(args[0][1]);
+        if (y instanceof MathWorkers.Matrix) {
+            x.workerDotMatrix(y, "_parallelDot");
+        } else {
+            x.workerDotVector(y, "_parallelDot");
+        }
+    });
+
+    worker.on("_parallelSummary", function(args) {
+        worker.sendDataToCoordinator(summarizePart(worker.get(args[0][0])), "_parallelSummary");
+    });
+
+    worker.on("_parallelExpression", function(args) {
+        evaluateExpression(args[0].map(worker.get), args[1], "_parallelExpression");
+    });
+};
@@ -19,18 +19,88 @@ MathWorkers.util.checkWebWorkerSupport = function() {
     }
 };
 
+/**
+ * Verify that the environment executing this code has Promise support
+ *
+ * @ignore
+ * @throws {Error}
+ */
+MathWorkers.util.checkPromiseSupport = function() {
+    if (typeof(Promise) === "undefined") {
+        throw new Error("Promise support not available for MathWorkers.");
+    }
+};
+
+/**
+ * Verify that the environment executing this code has SharedArrayBuffer support
+ *
+ * @ignore
+ * @throws {Error}
+ */
+MathWorkers.util.checkSharedMemorySupport = function() {
+    if (typeof(SharedArrayBuffer) === "undefined") {
+        throw new Error("SharedArrayBuffer support not available for MathWorkers.");
+    }
+};
+
+/**
+ * Test if the typed array arr is a view on a SharedArrayBuffer
+ *
+ * @ignore
+ * @param arr typed array to be tested
+ * @returns {boolean} true if arr is backed by shared memory
+ */
+MathWorkers.util.isSharedArray = function(arr) {
+    return typeof(SharedArrayBuffer) !== "undefined" && !MathWorkers.util.nullOrUndefined(arr) &&
+        arr.buffer instanceof SharedArrayBuffer;
+};
+
+/**
+ * Current time in milliseconds, with sub-millisecond resolution where available
+ *
+ * @ignore
+ * @returns {number} the current time
+ */
+MathWorkers.util.now = function() {
+    if (typeof(performance) !== "undefined" && performance.now) {
+        return performance.now();
+    }
+    return Date.now();
+};
+
 /**
  * Load balancing function.
  * Divides n up evenly among the number of workers in the pool.
  * Any remainder is distributed such that no worker has more than 1 extra piece in its range.
+ * In dynamic scheduling mode, the range of the chunk being handled is returned instead.
+ * Otherwise, if the coordinator has set worker weights, n is divided by the weighted load balancer.
  *
  * @ignore
  * @returns {object} container for range index from (inclusive) and index to (non-inclusive)
  */
 MathWorkers.util.loadBalance = function(n) {
-    var id = global.myWorkerId;
-	var div = (n / global.nWorkers)|0;
-	var rem = n % global.nWorkers;
+    if (global.chunk) {
+        return MathWorkers.util.partition(n, global.chunk.index, global.chunk.nChunks);
+    }
+    if (global.workerWeights) {
+        return MathWorkers.util.weightedPartition(n, global.myWorkerId, global.workerWeights);
+    }
+    return MathWorkers.util.partition(n, global.myWorkerId, global.nWorkers);
+};
+
+/**
+ * Divide n up evenly into nParts parts and return the range of part id.
+ * Any remainder is distributed such that no part has more than 1 extra piece in its range.
+ *
+ * @ignore
+ * @param {!number} n the number of pieces to divide up
+ * @param {!number} id the index of the part
+ * @param {!number} nParts the number of parts
+ * @returns {object} container for range index from (inclusive) and index to (non-inclusive)
+ */
+MathWorkers.util.partition = function(n, id, nParts) {
+	var div = (n / nParts)|0;
+	var rem = n % nParts;
 
 	var ifrom;
 	var ito;
@@ -45,6 +115,55 @@ MathWorkers.util.loadBalance = function(n) {
 	return {ifrom: ifrom, ito: ito};
 };
 
+/**
+ * Divide n up among the workers in the pool in proportion to their weights, such as measured speeds,
+ * and return the range of worker id.
+ * The ranges of consecutive workers are contiguous and together cover n.
+ *
+ * @ignore
+ * @param {!number} n the number of pieces to divide up
+ * @param {!number} id the id of the worker
+ * @param {!Array.<number>} weights the positive weight of each worker, indexed by worker id
+ * @returns {object} container for range index from (inclusive) and index to (non-inclusive)
+ */
+MathWorkers.util.weightedPartition = function(n, id, weights) {
+    var total = 0;
+    var before = 0;
+    for (var wk = 0; wk < weights.length; ++wk) {
+        if (wk < id) {
+            before += weights[wk];
+        }
+        total += weights[wk];
+    }
+    var ifrom = Math.round(n * before / total);
+    var ito = (id === weights.length - 1) ? n : Math.round(n * (before + weights[id]) / total);
+    return {ifrom: ifrom, ito: ito};
+};
+
+/**
+ * Verify that two distributed objects of the same kind and size belong to the same Coordinator
+ * and are partitioned alike, so that their partitions can be combined on the workers
+ *
+ * @ignore
+ * @param {!(MathWorkers.DistributedVector|MathWorkers.DistributedMatrix)} a the first distributed object
+ * @param {!(MathWorkers.DistributedVector|MathWorkers.DistributedMatrix)} b the second distributed object
+ */
+MathWorkers.util.checkDistributed = function(a, b) {
+    MathWorkers.util.checkNullOrUndefined(b);
+    if (a.constructor !== b.constructor || a.length !== b.length || a.nrows !== b.nrows || a.ncols !== b.ncols) {
+        throw new Error("Distributed objects must be of the same kind and size.");
+    }
+    if (a.channel !== b.channel) {
+        throw new Error("Distributed objects must belong to the same Coordinator.");
+    }
+    for (var wk = 0; wk < a.partitions.length; ++wk) {
+        if (!b.partitions[wk] || a.partitions[wk].ifrom !== b.partitions[wk].ifrom ||
+                a.partitions[wk].ito !== b.partitions[wk].ito) {
+            throw new Error("Distributed objects must be partitioned alike among the workers.");
+        }
+    }
+};
+
 /**
  * Test if the variable x is null or undefined
  *
@@ -242,32 +361,27 @@ MathWorkers.util.mapValues = function(m) {
 
 
 /**
- * Convert and ArrayBuffer to a String
- *
- * compliments of: http://updates.html5rocks.com/2012/06/How-to-convert-ArrayBuffer-to-and-from-String
+ * Convert an ArrayBuffer to a base64 String for node.js IPC. Unlike a UTF-16 string encoding,
+ * base64 round-trips every bit pattern, including NaN payloads, -0 and denormals.
  *
  * @ignore
  * @param buf {ArrayBuffer} ArrayBuffer to convert
- * @returns {string} the resulting string
+ * @returns {string} the resulting base64 string
  */
-MathWorkers.util.ab2str = function(buf) {
-    return String.fromCharCode.apply(null, new Uint16Array(buf));
+MathWorkers.util.ab2base64 = function(buf) {
+    return Buffer.from(buf).toString("base64");
 };
 
 /**
- * Convert a String to an ArrayBuffer
- *
- * compliments of: http://updates.html5rocks.com/2012/06/How-to-convert-ArrayBuffer-to-and-from-String
+ * Convert a base64 String produced by MathWorkers.util.ab2base64() back to an ArrayBuffer
  *
  * @ignore
- * @param str {string} String to convert
+ * @param str {string} base64 String to convert
  * @returns {ArrayBuffer} the resulting ArrayBuffer
  */
-MathWorkers.util.str2ab = function(str) {
-    var buf = new ArrayBuffer(str.length*2); // 2 bytes for each char
-    var bufView = new Uint16Array(buf);
-    for (var i = 0, strLen = str.length; i < strLen; i++) {
-        bufView[i] = str.charCodeAt(i);
-    }
+MathWorkers.util.base642ab = function(str) {
+    var bytes = Buffer.from(str, "base64");
+    var buf = new ArrayBuffer(bytes.length);
+    new Uint8Array(buf).set(bytes);
     return buf;
 };
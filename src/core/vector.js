@@ -73,6 +73,32 @@ MathWorkers.Vector.zeroes = function(size) {
     return vec;
 };
 
+/**
+ * Create a new Vector object populated with all zero values whose array is allocated on a SharedArrayBuffer.
+ * Shared Vectors are passed to and from workers without copying where the transport allows it.
+ *
+ * @param {!number} size the length of the Vector to be created
+ * @returns {MathWorkers.Vector} the new zeroed shared Vector
+ * @throws {Error} if SharedArrayBuffer is not supported
+ * @memberof MathWorkers.Vector
+ */
+MathWorkers.Vector.shared = function(size) {
+    MathWorkers.util.checkSharedMemorySupport();
+    var vec = new MathWorkers.Vector();
+    vec.setVector(new Float64Array(new SharedArrayBuffer(size * Float64Array.BYTES_PER_ELEMENT)));
+    return vec;
+};
+
+/**
+ * Test if this Vector is allocated on a SharedArrayBuffer
+ *
+ * @returns {boolean} true if this Vector is backed by shared memory
+ * @memberof MathWorkers.Vector
+ */
+MathWorkers.Vector.prototype.isShared = function() {
+    return MathWorkers.util.isSharedArray(this.array);
+};
+
 /**
  * Create a new Vector object populated with random values between 0 and 1
  *
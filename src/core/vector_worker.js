@@ -8,7 +8,8 @@
  * Compute the sum of all elements in the Vector in parallel
  *
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerSum = function(tag, rebroadcast) {
@@ -36,7 +37,8 @@ MathWorkers.Vector.prototype.workerSum = function(tag, rebroadcast) {
  * Compute the product of all elements in the Vector in parallel
  *
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerProduct = function(tag, rebroadcast) {
@@ -66,7 +68,8 @@ MathWorkers.Vector.prototype.workerProduct = function(tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} w the Vector to add with this Vector
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerPlus = function(w, tag, rebroadcast) {
@@ -100,7 +103,8 @@ MathWorkers.Vector.prototype.workerPlus = function(w, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} w the Vector to subtract from this Vector
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerMinus = function(w, tag, rebroadcast) {
@@ -134,7 +138,8 @@ MathWorkers.Vector.prototype.workerMinus = function(w, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} w the Vector to multiply with this Vector
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerTimes = function(w, tag, rebroadcast) {
@@ -168,7 +173,8 @@ MathWorkers.Vector.prototype.workerTimes = function(w, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} w the Vector to divide this Vector by
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerDivide = function(w, tag, rebroadcast) {
@@ -202,7 +208,8 @@ MathWorkers.Vector.prototype.workerDivide = function(w, tag, rebroadcast) {
  *
  * @param {!number} alpha the scalar to multiply by
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerScale = function(alpha, tag, rebroadcast) {
@@ -237,7 +244,8 @@ MathWorkers.Vector.prototype.workerScale = function(alpha, tag, rebroadcast) {
  *
  * @param {!function} fn the function to be applied to each element of this Vector
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerApply = function(fn, tag, rebroadcast) {
@@ -271,7 +279,8 @@ MathWorkers.Vector.prototype.workerApply = function(fn, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Vector} w the other Vector to be dotted with this Vector
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerDotVector = function(w, tag, rebroadcast) {
@@ -306,7 +315,8 @@ MathWorkers.Vector.prototype.workerDotVector = function(w, tag, rebroadcast) {
  *
  * @param {!MathWorkers.Matrix} A the matrix to multiply with
  * @param {!string} tag message tag
- * @param {boolean} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ * @param {(boolean|string)} [rebroadcast] If true, the coordinator broadcasts the result back to the workers.
+ *                                         If a string, the workers also store the result under that name.
  * @memberof MathWorkers.Vector
  */
 MathWorkers.Vector.prototype.workerDotMatrix = function(A, tag, rebroadcast) {
@@ -341,6 +351,6 @@ MathWorkers.Vector.prototype.workerDotMatrix = function(A, tag, rebroadcast) {
             w[offset++] = tot;
         }
     }
-    MathWorkers.MathWorker.gatherVector(w, this.length, lb.ifrom, tag, rebroadcast);
+    MathWorkers.MathWorker.gatherVector(w, A.ncols, lb.ifrom, tag, rebroadcast);
 };
 
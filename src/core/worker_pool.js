@@ -0,0 +1,307 @@
+// Copyright 2014 Adrian W. Lange
+
+/**
+ * Number of node.js cluster pools created so far by this process. Cluster workers re-run the
+ * main script, so each forked worker is told the index of the pool it belongs to and only that
+ * pool loads the worker script.
+ *
+ * @ignore
+ */
+var nClusterPools = 0;
+
+/**
+ * Source of the script run by inline workers: load the library and start a MathWorker, whose
+ * callbacks are then registered by the coordinator.
+ *
+ * @param {!string} library JSON string of the path (node.js) or URL (browser) of mathworkers.js
+ * @returns {string} the script source
+ * @ignore
+ */
+var inlineWorkerSource = function(library) {
+    if (global.isNode) {
+        return "var MathWorkers = require(" + library + ");\n" +
+            "MathWorkers.Global.setNode(true);\n" +
+            "new MathWorkers.MathWorker();\n";
+    }
+    return "importScripts(" + library + ");\n" +
+        "new MathWorkers.MathWorker();\n";
+};
+
+/**
+ * A pool of workers owned by a single Coordinator.
+ * In node.js, spawns either cluster workers (the default) or worker threads,
+ * depending on the requested transport.
+ * Otherwise, checks if Web Worker supported in browser.
+ *
+ * @param {!number} nWorkersInput the number of workers to spawn
+ * @param {string} workerScriptName the script the workers execute, or null to create the workers
+ *                                  from the library itself (inline mode)
+ * @param {!Object} options pool options
+ * @param {string} [options.transport] node.js transport, "cluster" or "worker_threads"
+ * @param {string} [options.libraryUrl] browser inline mode: URL of mathworkers.js for the workers to import
+ * @param {number} [options.logLevel] log level of the workers
+ * @param {boolean} [options.unrollLoops] loop unrolling option of the workers
+ * @param {!Object} handlers pool callbacks: onMessage(event) for worker messages, and onExit(id, reason)
+ *                           for workers that die while the pool is open
+ * @constructor
+ * @ignore
+ */
+function WorkerPool(nWorkersInput, workerScriptName, options, handlers) {
+    var that = this;
+    var workers = [];
+    var closing = false;
+    var nodeCluster = null;
+    var nodeWorkerThreads = null;
+    var clusterPoolIndex = null;
+    var inline = MathWorkers.util.nullOrUndefined(workerScriptName);
+    var inlineScriptUrl = null;
+    var registered = [];
+
+    /**
+     * Number of workers in the pool
+     *
+     * @member {number}
+     */
+    this.nWorkers = 0;
+
+    /**
+     * The transport the pool uses for message passing: "webworker", "cluster" or "worker_threads"
+     *
+     * @member {string}
+     */
+    this.transport = "webworker";
+
+    /**
+     * Retrieve a worker of the pool by its id
+     *
+     * @param {!number} workerId the id of the worker
+     * @returns {Object} the worker
+     */
+    this.getWorker = function(workerId) {
+        return workers[workerId];
+    };
+
+    /**
+     * Send a message to a worker over the transport of the pool
+     *
+     * @param {!Object} worker the worker
+     * @param {!Object} message the message to be sent
+     * @param {Array} [buffer] list of buffers attached to the message
+     * @private
+     */
+    var postToWorker = function(worker, message, buffer) {
+        if (that.transport === "cluster") {
+            worker.send({data: message});
+        } else if (that.transport === "worker_threads") {
+            worker.postMessage({data: message}, comm.transferList(buffer));
+        } else {
+            worker.postMessage(message, comm.transferList(buffer));
+        }
+    };
+
+    /**
+     * Send a message to a worker of the pool
+     *
+     * @param {!number} workerId the id of the worker
+     * @param {!Object} message the message to be sent
+     * @param {Array} [buffer] list of buffers attached to the message
+     */
+    this.postMessage = function(workerId, message, buffer) {
+        postToWorker(workers[workerId], message, buffer);
+    };
+
+    /**
+     * Relative speeds of the workers used for weighted load balancing, null for an even split
+     *
+     * @member {Array.<number>}
+     */
+    this.weights = null;
+
+    /**
+     * Build the initialization message of a worker, telling it its id and the size of the pool
+     *
+     * @param {!number} id the id of the worker
+     * @returns {Object} the message
+     * @private
+     */
+    var initMessage = function(id) {
+        return {
+            handle: "_init", id: id, nWorkers: that.nWorkers, weights: that.weights,
+            logLevel: options.logLevel, unrollLoops: options.unrollLoops
+        };
+    };
+
+    /**
+     * Spawns a single worker with the given id, sends it its initialization data,
+     * and attaches the pool message and exit handlers to it.
+     *
+     * @param {!number} id the id of the worker
+     * @returns {Object} the spawned worker
+     * @private
+     */
+    var spawnWorker = function(id) {
+        var worker;
+        var initData = initMessage(id);
+
+        // Only report workers that die while still in the pool, not those being shut down or replaced
+        var onExit = function(reason) {
+            if (!closing && workers[id] === worker) {
+                handlers.onExit(id, reason);
+            }
+        };
+
+        if (that.transport === "worker_threads") {
+            // Node.js worker threads, script path is relative to this file like for cluster workers
+            var lastError = null;
+            if (inline) {
+                worker = new nodeWorkerThreads.Worker(inlineWorkerSource(JSON.stringify(__filename)), {eval: true});
+            } else {
+                worker = new nodeWorkerThreads.Worker(require("path").resolve(__dirname, workerScriptName));
+            }
+            worker.postMessage({data: initData});
+            worker.on("message", handlers.onMessage);
+            worker.on("error", function(err) {
+                lastError = err;
+            });
+            worker.on("exit", function(code) {
+                onExit({code: code, error: lastError});
+            });
+        } else if (that.transport === "cluster") {
+            // Node.js cluster workers
+            worker = nodeCluster.fork({MATHWORKERS_POOL: clusterPoolIndex});
+            worker.send(initData);
+            worker.on("message", handlers.onMessage);
+            worker.on("exit", function(code, signal) {
+                onExit({code: code, signal: signal});
+            });
+        } else {
+            // HTML5 Web Workers
+            worker = new Worker(inline ? inlineScriptUrl : workerScriptName);
+            worker.postMessage(initData);
+            worker.onmessage = handlers.onMessage;
+            worker.onerror = function(event) {
+                // An uncaught error leaves the worker in an unknown state, so treat it as dead
+                worker.terminate();
+                onExit({error: event.message});
+            };
+        }
+        // The worker is not in the pool yet, so its registrations are sent to it directly
+        registered.forEach(function(message) {
+            postToWorker(worker, message);
+        });
+        return worker;
+    };
+
+    /**
+     * Register a worker-side callback for a tag on every worker of the pool, including workers
+     * spawned later. The callback is shipped as source code.
+     *
+     * @param {!string} tag the tag of the callback
+     * @param {!string} source the source code of the callback function
+     */
+    this.register = function(tag, source) {
+        var message = {handle: "_register", tag: tag, source: source};
+        registered.push(message);
+        for (var wk = 0; wk < workers.length; ++wk) {
+            that.postMessage(wk, message);
+        }
+    };
+
+    /**
+     * Replaces a dead worker with a newly spawned one of the same id.
+     *
+     * @param {!number} id the id of the worker to replace
+     */
+    this.respawnWorker = function(id) {
+        workers[id] = spawnWorker(id);
+    };
+
+    /**
+     * Shut down a worker
+     *
+     * @param {!Object} worker the worker
+     * @private
+     */
+    var stopWorker = function(worker) {
+        if (that.transport === "cluster") {
+            worker.disconnect();
+        } else {
+            worker.terminate();
+        }
+    };
+
+    /**
+     * Change the number of workers in the pool. Workers with ids beyond the new size are shut down,
+     * the remaining workers are sent their updated initialization data, and missing workers are spawned.
+     * Every worker reports ready again once initialized.
+     *
+     * @param {!number} n the new number of workers
+     */
+    this.resize = function(n) {
+        var wk;
+        while (workers.length > n) {
+            // Removed from the pool first, so that its exit is not reported
+            stopWorker(workers.pop());
+        }
+        that.nWorkers = n;
+        // Weights measured for the old pool no longer apply
+        that.weights = null;
+        for (wk = 0; wk < workers.length; ++wk) {
+            that.postMessage(wk, initMessage(wk));
+        }
+        for (wk = workers.length; wk < n; ++wk) {
+            workers.push(spawnWorker(wk));
+        }
+    };
+
+    /**
+     * Shut down the workers of the pool. Their exits are not reported.
+     */
+    this.close = function() {
+        closing = true;
+        workers.forEach(stopWorker);
+        if (inlineScriptUrl) {
+            URL.revokeObjectURL(inlineScriptUrl);
+        }
+    };
+
+    if (global.isNode) {
+        this.transport = options.transport || "cluster";
+        if (this.transport === "worker_threads") {
+            nodeWorkerThreads = require("worker_threads");
+        } else if (this.transport === "cluster") {
+            nodeCluster = require("cluster");
+            clusterPoolIndex = nClusterPools++;
+            if (nodeCluster.isWorker) {
+                // worker loads script here, if it was forked for this pool
+                if (process.env.MATHWORKERS_POOL === String(clusterPoolIndex)) {
+                    if (inline) {
+                        // The worker's callbacks are registered by the coordinator
+                        new MathWorkers.MathWorker();
+                    } else {
+                        require(workerScriptName);
+                    }
+                }
+                return;
+            }
+        } else {
+            throw new Error("Unknown node.js transport for MathWorkers: " + options.transport);
+        }
+    } else {
+        // HTML5 Web Workers
+        MathWorkers.util.checkWebWorkerSupport();
+        if (inline) {
+            var libraryUrl = options.libraryUrl || global.libraryUrl;
+            if (!libraryUrl) {
+                throw new Error("Cannot locate mathworkers.js for inline workers, set the libraryUrl option.");
+            }
+            inlineScriptUrl = URL.createObjectURL(new Blob([inlineWorkerSource(JSON.stringify(libraryUrl))],
+                {type: "application/javascript"}));
+        }
+    }
+
+    this.nWorkers = nWorkersInput;
+    for (var i = 0; i < nWorkersInput; ++i) {
+        workers.push(spawnWorker(i));
+    }
+}
@@ -6,10 +6,14 @@ MWs.Global.setNode(true);
 //MWs.Global.setLogLevel(3);
 
 // Path is relative to where the mathworkers.js file is located
-var crd = new MWs.Coordinator(2, "../test/old_test/node/test_core_parallel_work.js");
+var crd = new MWs.Coordinator(2, "../test/old_test/node/test_core_parallel_work.js", {respawn: true});
+// A second, independent pool
+var crd2 = new MWs.Coordinator(1, "../test/old_test/node/test_core_parallel_work.js");
+// Inline workers, without a worker script, with deterministic compensated reductions and respawn
+var crd3 = new MWs.Coordinator(2, null, {compensated: true, respawn: true});
 
 // Branch the master process
 if (MWs.Global.isMaster()) {
     var masterThread = require("./test_core_parallel_coord");
-    masterThread.run(MWs, crd);
+    masterThread.run(MWs, crd, {secondCoordinator: crd2, inlineCoordinator: crd3});
 }
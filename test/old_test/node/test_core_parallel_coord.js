@@ -4,7 +4,8 @@
 
 var UT = require("../unit_tester.js");
 
-var run = function(MWs, crd) {
+var run = function(MWs, crd, options) {
+    options = options || {};
 
     var Vector = MWs.Vector;
     var Matrix = MWs.Matrix;
@@ -446,14 +447,683 @@ var run = function(MWs, crd) {
         T.passed();
         updatePasses(T);
 
+        crd.run("run_promiseVectorDotVector").then(function(dot) {
+            var T = new UT.Tester("promiseVectorDotVector");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            return Promise.all([crd.run("run_concurrentVectorDotVector"), crd.run("run_concurrentVectorPlus")]);
+        }).then(function(results) {
+            var T = new UT.Tester("concurrentOperations");
+            T.equal(40.0, results[0]);
+            T.vectorEqual(Vector.fromArray([2.0, 4.0, 6.0, 8.0, 10.0]), results[1]);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_workerError");
+        }).then(null, function(err) {
+            var T = new UT.Tester("workerError");
+            T.equal("run_workerError", err.tag);
+            T.isTrue(err.workerId === 0 || err.workerId === 1);
+            T.isTrue(err.message.indexOf("Vectors have unequal lengths.") >= 0);
+            T.isTrue(typeof err.workerStack === "string");
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_workerExit");
+        }).then(null, function(err) {
+            var T = new UT.Tester("workerExit");
+            T.equal(1, err.workerId);
+            T.equal(1, workerExits.length);
+            T.equal(1, workerExits[0].id);
+            T.equal(3, workerExits[0].code);
+            T.passed();
+            updatePasses(T);
+
+            // The dead worker has been respawned
+            return crd.run("run_promiseVectorDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("workerRespawn");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_requestTimeout", [], {timeout: 200});
+        }).then(null, function(err) {
+            var T = new UT.Tester("requestTimeout");
+            T.isTrue(err.timeout);
+            T.equal("run_requestTimeout", err.tag);
+            T.equal(1, err.missingWorkers.length);
+            T.equal(1, err.missingWorkers[0]);
+            T.passed();
+            updatePasses(T);
+
+            var request = crd.run("run_requestCancel");
+            crd.cancel(request.requestId);
+            return request;
+        }).then(null, function(err) {
+            var T = new UT.Tester("requestCancel");
+            T.isTrue(err.cancelled);
+            T.passed();
+            updatePasses(T);
+
+            // Late messages of the cancelled request must not disturb the next one
+            return crd.run("run_promiseVectorDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("afterCancel");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            if (options.secondCoordinator) {
+                // Two pools of different sizes work side by side
+                return Promise.all([crd.run("run_promiseVectorDotVector"),
+                    options.secondCoordinator.run("run_promiseVectorDotVector")]);
+            }
+        }).then(function(results) {
+            if (options.secondCoordinator) {
+                var T = new UT.Tester("twoCoordinators");
+                T.equal(40.0, results[0]);
+                T.equal(40.0, results[1]);
+                T.passed();
+                updatePasses(T);
+            }
+
+            return crd.resize(3);
+        }).then(function(n) {
+            var T = new UT.Tester("resizeGrow");
+            T.equal(3, n);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_promiseVectorDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("resizeGrowDotVector");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            return crd.resize(2);
+        }).then(function() {
+            // Requests sent right after a resize are handled by the resized pool
+            return crd.run("run_promiseVectorDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("resizeShrinkDotVector");
+            T.equal(40.0, dot);
+            T.equal(2, crd.getMessageDataList().length);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_requestTimeout", [], {timeout: 100}).then(null, function() {
+                // The workers' ready reports are not mistaken for late messages of the timed out request
+                return crd.resize(2);
+            });
+        }).then(function(n) {
+            var T = new UT.Tester("resizeAfterTimeout");
+            T.equal(2, n);
+            T.passed();
+            updatePasses(T);
+
+            // Worker 1 dies before any worker has reported for the request
+            return new Promise(function(resolve) {
+                crd.once("error", resolve);
+                crd.trigger("run_workerExitBeforeReport");
+            });
+        }).then(function(err) {
+            var T = new UT.Tester("triggerWorkerExit");
+            T.equal(1, err.workerId);
+            T.passed();
+            updatePasses(T);
+
+            // The late report of worker 0 is discarded instead of leaving the request in flight
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 300);
+            }).then(function() {
+                return crd.resize(2);
+            });
+        }).then(function(n) {
+            var T = new UT.Tester("resizeAfterWorkerExit");
+            T.equal(2, n);
+            T.passed();
+            updatePasses(T);
+
+            // Without an "error" listener, the failed request throws out of the worker exit handler
+            return new Promise(function(resolve) {
+                process.once("uncaughtException", resolve);
+                crd.trigger("run_workerExitBeforeReport");
+            });
+        }).then(function(err) {
+            var T = new UT.Tester("triggerUnhandledError");
+            T.equal(1, err.workerId);
+            T.passed();
+            updatePasses(T);
+
+            // The dead worker has been respawned all the same
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 300);
+            }).then(function() {
+                return crd.run("run_promiseVectorDotVector");
+            });
+        }).then(function(dot) {
+            var T = new UT.Tester("respawnAfterUnhandledError");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            // Not resized before the workers have handled the request
+            crd.trigger("run_noReport");
+            T = new UT.Tester("resizeInFlight");
+            var threw = false;
+            try {
+                crd.resize(3);
+            } catch (e) {
+                threw = true;
+            }
+            T.isTrue(threw);
+            T.passed();
+            updatePasses(T);
+
+            // A finished request whose workers report nothing is not failed when a worker dies later
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 300);
+            }).then(function() {
+                return crd.run("run_workerExit");
+            });
+        }).then(null, function(err) {
+            var T = new UT.Tester("noReportWorkerExit");
+            T.equal(1, err.workerId);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_lateReport", [], {timeout: 50});
+        }).then(null, function() {
+            // The reports arrive after more requests than the window of remembered failures
+            for (var i = 0; i < 1000; ++i) {
+                crd.removeFromWorkers("lateReport");
+            }
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 700);
+            }).then(function() {
+                return crd.resize(2);
+            });
+        }).then(function(n) {
+            var T = new UT.Tester("resizeAfterExpiredReport");
+            T.equal(2, n);
+            T.passed();
+            updatePasses(T);
+
+            return crd.calibrate({size: 1000, repeat: 10});
+        }).then(function(weights) {
+            var T = new UT.Tester("calibrate");
+            T.equal(2, weights.length);
+            T.isTrue(Math.abs(weights[0] + weights[1] - 1.0) < 1e-12);
+            T.isTrue(weights[0] > 0 && weights[1] > 0);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_promiseVectorDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("calibratedDotVector");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            // Strongly uneven weights must still cover every index exactly once
+            crd.setWorkerWeights([4.0, 1.0]);
+            return crd.run("run_concurrentVectorPlus");
+        }).then(function(vec) {
+            var T = new UT.Tester("weightedVectorPlus");
+            T.vectorEqual(Vector.fromArray([2.0, 4.0, 6.0, 8.0, 10.0]), vec);
+            T.passed();
+            updatePasses(T);
+
+            crd.setWorkerWeights(null);
+
+            return crd.run("run_concurrentVectorPlus", [], {schedule: "dynamic", chunks: 5});
+        }).then(function(vec) {
+            var T = new UT.Tester("dynamicVectorPlus");
+            T.vectorEqual(Vector.fromArray([2.0, 4.0, 6.0, 8.0, 10.0]), vec);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_promiseVectorDotVector", [], {schedule: "dynamic", chunks: 3});
+        }).then(function(dot) {
+            var T = new UT.Tester("dynamicVectorDotVector");
+            T.equal(40.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            T = new UT.Tester("dynamicInvalidChunks");
+            [-1, 0, 2.5].forEach(function(chunks) {
+                var threw = false;
+                try {
+                    crd.trigger("run_promiseVectorDotVector", [], {schedule: "dynamic", chunks: chunks});
+                } catch (e) {
+                    threw = true;
+                }
+                T.isTrue(threw);
+            });
+            T.passed();
+            updatePasses(T);
+
+            crd.registerReduction("maxAbs", function(a, b) {
+                return Math.max(a, b);
+            });
+            return Promise.all([crd.run("run_reduce", ["max"]), crd.run("run_reduce", ["argmin"]),
+                crd.run("run_reduce", ["and"]), crd.run("run_reduce", ["maxAbs"])]);
+        }).then(function(results) {
+            var T = new UT.Tester("reduce");
+            T.equal(7.0, results[0]);
+            T.equal(-9.0, results[1].value);
+            T.equal(1, results[1].index);
+            T.equal(false, results[2]);
+            T.equal(9.0, results[3]);
+            T.passed();
+            updatePasses(T);
+
+            return Promise.all([crd.run("run_reduceVector", ["sum"]), crd.run("run_reduceVector", ["max"])]);
+        }).then(function(results) {
+            var T = new UT.Tester("reduceVector");
+            T.vectorEqual(Vector.fromArray([3.0, -3.0, 2.0]), results[0]);
+            T.vectorEqual(Vector.fromArray([2.0, -1.0, 2.0]), results[1]);
+            T.passed();
+            updatePasses(T);
+
+            var broadcastReceived = new Promise(function(resolve) {
+                crd.on("reduceMatrixBroadcast", function() {
+                    resolve(crd.getBuffer());
+                });
+            });
+            return Promise.all([crd.run("run_reduceMatrix"), broadcastReceived]);
+        }).then(function(results) {
+            var T = new UT.Tester("reduceMatrix");
+            var expected = Matrix.fromArray([[1.0, 2.0], [4.0, 3.0]]);
+            T.matrixEqual(expected, results[0]);
+            T.matrixEqual(expected, results[1]);
+            T.passed();
+            updatePasses(T);
+
+            return new Promise(function(resolve) {
+                crd.on("scatterVector", function() {
+                    resolve(crd.getBuffer());
+                });
+                crd.scatterVector(Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0, 6.0]), "run_scatterVector");
+            });
+        }).then(function(tot) {
+            var T = new UT.Tester("scatterVector");
+            T.equal(70.0, tot);
+            T.passed();
+            updatePasses(T);
+
+            return new Promise(function(resolve) {
+                crd.on("scatterMatrixRows", function() {
+                    resolve(crd.getBuffer());
+                });
+                crd.scatterMatrixRows(Matrix.fromArray([[1.0, 2.0], [3.0, 4.0], [5.0, 6.0]]), "run_scatterMatrixRows");
+            });
+        }).then(function(tot) {
+            var T = new UT.Tester("scatterMatrixRows");
+            T.equal(29.0, tot);
+            T.passed();
+            updatePasses(T);
+
+            var x = crd.distributeVector(Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]));
+            var y = crd.distributeVector(Vector.fromArray([5.0, 4.0, 3.0, 2.0, 1.0]));
+            var z = x.plus(y).scale(2.0);
+            return Promise.all([z.gather(), z.sum(), x.dotVector(y)]);
+        }).then(function(results) {
+            var T = new UT.Tester("distributedVector");
+            T.vectorEqual(Vector.fromArray([12.0, 12.0, 12.0, 12.0, 12.0]), results[0]);
+            T.equal(60.0, results[1]);
+            T.equal(35.0, results[2]);
+            T.passed();
+            updatePasses(T);
+
+            var A = crd.distributeMatrix(Matrix.fromArray([[1.0, 2.0], [3.0, 4.0], [5.0, 6.0]]));
+            var Ax = A.plus(A).scale(0.5).dotVector(Vector.fromArray([1.0, 1.0]));
+            return Promise.all([Ax.gather(), A.sum(), A.scale(2.0).gather()]);
+        }).then(function(results) {
+            var T = new UT.Tester("distributedMatrix");
+            T.vectorEqual(Vector.fromArray([3.0, 7.0, 11.0]), results[0]);
+            T.equal(21.0, results[1]);
+            T.matrixEqual(Matrix.fromArray([[2.0, 4.0], [6.0, 8.0], [10.0, 12.0]]), results[2]);
+            T.passed();
+            updatePasses(T);
+
+            var x = crd.distributeVector(Vector.fromArray([1.0, 2.0, 3.0]));
+            var y = x.plus(x).scaleInPlace(2.0).plusInPlace(x);
+            var A = crd.distributeMatrix(Matrix.fromArray([[1.0, 2.0], [3.0, 4.0], [5.0, 6.0]]));
+            A.scaleInPlace(2.0);
+            var Ax = A.dotVector(Vector.fromArray([1.0, 0.0]));
+            var Ax2 = A.dotVector(Vector.fromArray([0.0, 1.0]), Ax);
+            var results = Promise.all([y.gather(), x.gather(), Ax2.gather(), Ax === Ax2]);
+            [x, y, A, Ax].forEach(function(d) {
+                d.free();
+            });
+            return results;
+        }).then(function(results) {
+            var T = new UT.Tester("distributedInPlace");
+            T.vectorEqual(Vector.fromArray([5.0, 10.0, 15.0]), results[0]);
+            T.vectorEqual(Vector.fromArray([1.0, 2.0, 3.0]), results[1]);
+            T.vectorEqual(Vector.fromArray([4.0, 8.0, 12.0]), results[2]);
+            T.isTrue(results[3]);
+            T.passed();
+            updatePasses(T);
+
+            // Fewer rows than workers, some workers hold none
+            var A = crd.distributeMatrix(Matrix.fromArray([[1.0, 2.0]]));
+            var results = Promise.all([A.gather(), A.sum()]);
+            A.free();
+            return results;
+        }).then(function(results) {
+            var T = new UT.Tester("distributedFewRows");
+            T.matrixEqual(Matrix.fromArray([[1.0, 2.0]]), results[0]);
+            T.equal(3.0, results[1]);
+            T.passed();
+            updatePasses(T);
+
+            crd.sendVectorToWorkers(Vector.fromArray([1.0, 2.0, 3.0]), "named_store", {name: "x"});
+            crd.sendVectorToWorkers(Vector.fromArray([4.0, 5.0, 6.0]), "named_store", {name: "y"});
+            return crd.run("run_namedDotVector");
+        }).then(function(dot) {
+            var T = new UT.Tester("namedStoreDotVector");
+            T.equal(32.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            return new Promise(function(resolve) {
+                crd.on("namedPlusSum", function() {
+                    resolve(crd.getBuffer());
+                });
+                crd.trigger("run_namedRebroadcast");
+            });
+        }).then(function(tot) {
+            var T = new UT.Tester("namedRebroadcast");
+            T.equal(21.0, tot);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_namedRebroadcastStore").then(function() {
+                return crd.run("run_namedStoredSum");
+            });
+        }).then(function(tot) {
+            var T = new UT.Tester("namedRebroadcastStore");
+            T.equal(21.0, tot);
+            T.passed();
+            updatePasses(T);
+
+            crd.removeFromWorkers("x");
+            return crd.run("run_namedHas");
+        }).then(function(stored) {
+            var T = new UT.Tester("namedRemove");
+            T.equal(false, stored);
+            T.passed();
+            updatePasses(T);
+
+            return crd.parallel.dotVector(Vector.fromArray([1, 2, 3, 4, 5]), Vector.fromArray([5, 4, 3, 2, 1]));
+        }).then(function(dot) {
+            var T = new UT.Tester("parallelDotVector");
+            T.equal(35.0, dot);
+            T.passed();
+            updatePasses(T);
+
+            var A = Matrix.fromArray([[1, 2, 3], [4, 5, 6], [7, 8, 9], [10, 11, 12], [13, 14, 15]]);
+            var v = Vector.fromArray([1, -1, 2]);
+            var u = Vector.fromArray([1, 2, 3, 4, 5]);
+            var B = Matrix.fromArray([[1, 0], [2, 1], [0, 3]]);
+            return Promise.all([crd.parallel.dotVector(A, v), crd.parallel.dotMatrix(u, A),
+                crd.parallel.dotMatrix(A, B)]).then(function(results) {
+                var T = new UT.Tester("parallelDotMatrix");
+                T.vectorEqual(A.dotVector(v), results[0]);
+                T.vectorEqual(u.dotMatrix(A), results[1]);
+                T.matrixEqual(A.dotMatrix(B), results[2]);
+                T.passed();
+                updatePasses(T);
+            });
+        }).then(function() {
+            var v = Vector.fromArray([3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5]);
+            return crd.parallel.summary(v).then(function(summary) {
+                var T = new UT.Tester("parallelSummary");
+                var expected = MWs.Stats.summary(v);
+                T.equal(expected.n, summary.n);
+                T.doubleEqual(expected.mean, summary.mean);
+                T.doubleEqual(expected.variance, summary.variance);
+                T.doubleEqual(expected.stddev, summary.stddev);
+                T.equal(expected.minimum, summary.minimum);
+                T.equal(expected.maximum, summary.maximum);
+                T.passed();
+                updatePasses(T);
+            });
+        }).then(function() {
+            var v = Vector.fromArray([1, 2, 3, 4, 5]);
+            var w = Vector.fromArray([5, 4, 3, 2, 1]);
+            var e = crd.parallel.expr(v).plus(w).scale(2);
+            return Promise.all([e.sum(), e.minus(v).times(v).evaluate(), crd.parallel.expr(v).divide(v).product()]);
+        }).then(function(results) {
+            var T = new UT.Tester("parallelExpression");
+            T.equal(60.0, results[0]);
+            T.vectorEqual(Vector.fromArray([11, 20, 27, 32, 35]), results[1]);
+            T.equal(1.0, results[2]);
+            T.passed();
+            updatePasses(T);
+
+            T = new UT.Tester("eventListeners");
+            var calls = [];
+            var first = function() {
+                calls.push("first");
+            };
+            crd.on("listeners", first);
+            crd.on("listeners", function(x) {
+                calls.push("second " + x);
+            });
+            crd.once("listeners", function() {
+                calls.push("once");
+            });
+            T.equal(3, crd.listenerCount("listeners"));
+            crd.emit("listeners", 1);
+            crd.off("listeners", first);
+            crd.emit("listeners", 2);
+            T.equal("first,second 1,once,second 2", calls.join(","));
+            T.equal(1, crd.listenerCount("listeners"));
+            crd.removeAllListeners("listeners");
+            var unhandled = null;
+            try {
+                crd.emit("error", new Error("unhandled"));
+            } catch (e) {
+                unhandled = e;
+            }
+            T.equal("unhandled", unhandled && unhandled.message);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_twoListeners");
+        }).then(function(bothRan) {
+            var T = new UT.Tester("workerListeners");
+            T.equal(true, bothRan);
+            T.passed();
+            updatePasses(T);
+
+            return new Promise(function(resolve) {
+                crd.once("promiseVectorDotVector", function(dot, meta) {
+                    resolve({dot: dot, meta: meta, requestId: requestId});
+                });
+                var requestId = crd.trigger("run_promiseVectorDotVector");
+            });
+        }).then(function(event) {
+            var T = new UT.Tester("eventResult");
+            T.equal(40.0, event.dot);
+            T.equal("promiseVectorDotVector", event.meta.tag);
+            T.equal(event.requestId, event.meta.requestId);
+            T.equal(2, event.meta.nWorkers);
+            T.isTrue(typeof event.meta.duration === "number" && event.meta.duration >= 0);
+            T.passed();
+            updatePasses(T);
+
+            return crd.run("run_ringExchange");
+        }).then(function(received) {
+            var T = new UT.Tester("workerToWorker");
+            T.equal(true, received);
+            T.passed();
+            updatePasses(T);
+
+            return new Promise(function(resolve) {
+                crd.once("targetedMatrix", resolve);
+                crd.sendToWorker(0, Matrix.fromArray([[1, 2], [3, 4]]), "targetedMatrix");
+            });
+        }).then(function(reply) {
+            var T = new UT.Tester("sendToWorker");
+            T.vectorEqual(Vector.fromArray([10.0, 1.0, 0.0]), reply);
+            var threw = false;
+            try {
+                crd.sendToWorker(5, {}, "targetedMatrix");
+            } catch (e) {
+                threw = true;
+            }
+            T.isTrue(threw);
+            T.passed();
+            updatePasses(T);
+        }).then(function() {
+            if (options.inlineCoordinator) {
+                // Inline workers run only the library, their callback is shipped by the coordinator
+                options.inlineCoordinator.register("inline_dotVector", function(args) {
+                    var v = MathWorkers.Vector.fromArray(args[0]);
+                    var w = MathWorkers.Vector.fromArray(args[1]);
+                    v.workerDotVector(w, "inline_dotVector");
+                });
+                return options.inlineCoordinator.run("inline_dotVector", [[1, 2, 3, 4], [4, 3, 2, 1]]);
+            }
+        }).then(function(dot) {
+            if (options.inlineCoordinator) {
+                var T = new UT.Tester("inlineWorkers");
+                T.equal(20.0, dot);
+                T.passed();
+                updatePasses(T);
+
+                // Summed in chunk order with compensation, otherwise the ones are lost to rounding
+                options.inlineCoordinator.register("inline_orderedSum", function() {
+                    var values = [1e100, 1.0, -1e100, 1.0];
+                    var lb = MathWorkers.util.loadBalance(values.length);
+                    MathWorkers.MathWorker.reduce(values[lb.ifrom], "sum", "inline_orderedSum");
+                });
+                return options.inlineCoordinator.run("inline_orderedSum", [], {schedule: "dynamic", chunks: 4});
+            }
+        }).then(function(tot) {
+            if (options.inlineCoordinator) {
+                var T = new UT.Tester("compensatedReduce");
+                T.equal(2.0, tot);
+                T.passed();
+                updatePasses(T);
+
+                // Workers spawned by resize() are sent the registered callbacks too
+                return options.inlineCoordinator.resize(3).then(function() {
+                    return options.inlineCoordinator.run("inline_dotVector", [[1, 2, 3, 4], [4, 3, 2, 1]]);
+                });
+            }
+        }).then(function(dot) {
+            if (options.inlineCoordinator) {
+                var T = new UT.Tester("inlineResize");
+                T.equal(20.0, dot);
+                T.passed();
+                updatePasses(T);
+
+                options.inlineCoordinator.register("inline_workerExit", function() {
+                    if (worker.getId() === 2) {
+                        process.exit(3);
+                    }
+                    MathWorkers.MathWorker.reduce(1.0, "sum", "inline_workerExit");
+                });
+                return options.inlineCoordinator.run("inline_workerExit").then(null, function(err) {
+                    inlineExitedWorker = err.workerId;
+                    // The respawned worker is sent the registered callbacks too
+                    return options.inlineCoordinator.run("inline_dotVector", [[1, 2, 3, 4], [4, 3, 2, 1]]);
+                });
+            }
+        }).then(function(dot) {
+            if (options.inlineCoordinator) {
+                var T = new UT.Tester("inlineRespawn");
+                T.equal(2, inlineExitedWorker);
+                T.equal(20.0, dot);
+                T.passed();
+                updatePasses(T);
+            }
+
+            if (options.sharedMemory) {
+                runSharedMemoryTests();
+            } else {
+                // Last test
+                finished();
+            }
+        });
+    });
+
+    var workerExits = [];
+    var inlineExitedWorker = null;
+    crd.on("workerExit", function(info) {
+        workerExits.push(info);
+    });
+
+    function runSharedMemoryTests() {
+        var out = Vector.shared(5);
+        crd.run("run_sharedVectorScale", [], {output: out}).then(function(recv) {
+            var T = new UT.Tester("sharedVectorScale");
+            var expected = Vector.fromArray([2.0, 4.0, 6.0, 8.0, 10.0]);
+            T.vectorEqual(expected, recv);
+            T.vectorEqual(expected, out);
+            T.passed();
+            updatePasses(T);
+
+            var v = Vector.shared(5);
+            v.array.set([1.0, 2.0, 3.0, 4.0, 5.0]);
+            crd.sendVectorToWorkers(v, "run_sharedVectorSum");
+        });
+    }
+
+    crd.on("sharedVectorSum", function() {
+        var T = new UT.Tester("sharedVectorSum");
+        T.equal(15.0, crd.getBuffer());
+        T.passed();
+        updatePasses(T);
+
         // Last test
         finished();
     });
 
     function finished() {
-        // When done with the tests, call this to report test results and exit the program.
-        console.log(passes + " passed of " + nTests + " tests.");
-        crd.disconnect();
+        // Worker 1 never reports for this request, so it is still pending when the Coordinator is terminated
+        var request = crd.run("run_requestTimeout");
+        crd.terminate();
+        request.then(null, function(err) {
+            var T = new UT.Tester("terminate");
+            T.isTrue(err.terminated);
+            var threw = false;
+            try {
+                crd.trigger("run_promiseVectorDotVector");
+            } catch (e) {
+                threw = true;
+            }
+            T.isTrue(threw);
+            T.passed();
+            updatePasses(T);
+
+            if (options.secondCoordinator) {
+                // Terminated before its workers report ready
+                var resize = options.secondCoordinator.resize(2);
+                options.secondCoordinator.terminate();
+                return resize;
+            }
+        }).then(null, function(err) {
+            var T = new UT.Tester("terminateResize");
+            T.isTrue(err.terminated);
+            T.passed();
+            updatePasses(T);
+        }).then(function() {
+            // When done with the tests, call this to report test results and exit the program.
+            console.log(passes + " passed of " + nTests + " tests.");
+            if (options.inlineCoordinator) {
+                options.inlineCoordinator.terminate();
+            }
+        });
     }
 };
 
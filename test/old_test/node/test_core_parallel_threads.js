@@ -0,0 +1,17 @@
+/*
+ * MathWorker node.js tests using worker threads
+ */
+var MWs = require("../../../dist/mathworkers.js");
+MWs.Global.setNode(true);
+//MWs.Global.setLogLevel(3);
+
+// Path is relative to where the mathworkers.js file is located
+var crd = new MWs.Coordinator(2, "../test/old_test/node/test_core_parallel_work.js", {transport: "worker_threads", respawn: true});
+// A second, independent pool
+var crd2 = new MWs.Coordinator(1, "../test/old_test/node/test_core_parallel_work.js", {transport: "worker_threads"});
+// Inline workers, without a worker script, with deterministic compensated reductions and respawn
+var crd3 = new MWs.Coordinator(2, null, {transport: "worker_threads", compensated: true, respawn: true});
+
+// Coordinator and workers share this process, so no branching on the master is needed
+var masterThread = require("./test_core_parallel_coord");
+masterThread.run(MWs, crd, {sharedMemory: true, secondCoordinator: crd2, inlineCoordinator: crd3});
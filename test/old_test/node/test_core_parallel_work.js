@@ -278,3 +278,198 @@ MW.on("run_matrixVectorPlus2", function() {
     var alpha = 0.45;
     Batch.workerMatrixVectorPlus(alpha, A, x, "matrixVectorPlus2");
 });
+
+MW.on("run_promiseVectorDotVector", function() {
+    var v = Vector.fromArray([0.0, 2.0, 4.0, 6.0, 8.0]);
+    var w = Vector.fromArray([2.0, 2.0, 2.0, 2.0, 2.0]);
+    v.workerDotVector(w, "promiseVectorDotVector");
+});
+
+MW.on("run_concurrentVectorDotVector", function() {
+    var v = Vector.fromArray([0.0, 2.0, 4.0, 6.0, 8.0]);
+    var w = Vector.fromArray([2.0, 2.0, 2.0, 2.0, 2.0]);
+    v.workerDotVector(w, "concurrent");
+});
+
+MW.on("run_concurrentVectorPlus", function() {
+    var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+    var w = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+    v.workerPlus(w, "concurrent");
+});
+
+MW.on("run_sharedVectorScale", function() {
+    var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+    v.workerScale(2.0, "sharedVectorScale");
+});
+
+MW.on("run_sharedVectorSum", function(v) {
+    v.workerSum("sharedVectorSum");
+});
+
+MW.on("run_workerError", function() {
+    var v = Vector.fromArray([1.0, 2.0, 3.0]);
+    var w = Vector.fromArray([1.0, 2.0]);
+    v.workerPlus(w, "workerError");
+});
+
+MW.on("run_reduce", function(args) {
+    var op = args[0];
+    var v = [3.0, -9.0, 1.0, 7.0, 5.0];
+    var lb = MathWorkers.util.loadBalance(v.length);
+    var value;
+    for (var i = lb.ifrom; i < lb.ito; ++i) {
+        if (op === "max") {
+            value = (i === lb.ifrom) ? v[i] : Math.max(value, v[i]);
+        } else if (op === "argmin") {
+            value = (i === lb.ifrom || v[i] < value.value) ? {value: v[i], index: i} : value;
+        } else if (op === "and") {
+            value = (i === lb.ifrom) ? v[i] > 0 : value && v[i] > 0;
+        } else {
+            // maxAbs, registered on the coordinator
+            value = (i === lb.ifrom) ? Math.abs(v[i]) : Math.max(value, Math.abs(v[i]));
+        }
+    }
+    MathWorkers.MathWorker.reduce(value, op, "reduce");
+});
+
+MW.on("run_reduceVector", function(args) {
+    var id = MW.getId();
+    var v = Vector.fromArray([id + 1.0, -(id + 1.0), 2.0 * id]);
+    MathWorkers.MathWorker.reduceVector(v, args[0], "reduceVector");
+});
+
+MW.on("run_reduceMatrix", function() {
+    var id = MW.getId();
+    var A = Matrix.fromArray([[id, 1.0], [2.0, 3.0 * id]]);
+    MathWorkers.MathWorker.reduceMatrix(A, "sum", "reduceMatrix", true);
+});
+
+MW.on("reduceMatrix", function(A) {
+    // Every worker received the reduced Matrix, send it back for checking
+    MW.sendMatrixToCoordinator(A, "reduceMatrixBroadcast");
+});
+
+MW.on("run_scatterVector", function(part, meta) {
+    if (meta.length !== 6) {
+        throw new Error("Unexpected scattered Vector length " + meta.length);
+    }
+    var tot = 0.0;
+    for (var i = 0; i < part.length; ++i) {
+        tot += (meta.offset + i) * part.array[i];
+    }
+    MathWorkers.MathWorker.reduce(tot, "sum", "scatterVector");
+});
+
+MW.on("run_scatterMatrixRows", function(part, meta) {
+    if (meta.nrows !== 3 || meta.ncols !== 2) {
+        throw new Error("Unexpected scattered Matrix size " + meta.nrows + "x" + meta.ncols);
+    }
+    var tot = 0.0;
+    for (var i = 0; i < part.nrows; ++i) {
+        tot += (meta.offset + i) * (part.array[i][0] + part.array[i][1]);
+    }
+    MathWorkers.MathWorker.reduce(tot, "sum", "scatterMatrixRows");
+});
+
+MW.on("run_namedDotVector", function() {
+    MW.get("x").workerDotVector(MW.get("y"), "namedDotVector");
+});
+
+MW.on("run_namedRebroadcast", function() {
+    MW.get("x").workerPlus(MW.get("y"), "namedPlus", "z");
+});
+
+MW.on("run_namedRebroadcastStore", function() {
+    // No listener for the tag, the sum is only stored
+    MW.get("x").workerPlus(MW.get("y"), "namedPlusStore", "w");
+});
+
+MW.on("run_namedStoredSum", function() {
+    MW.get("w").workerSum("namedStoredSum");
+});
+
+MW.on("namedPlus", function() {
+    MW.get("z").workerSum("namedPlusSum");
+});
+
+MW.on("run_namedHas", function() {
+    MathWorkers.MathWorker.reduce(MW.has("x") || !MW.has("y"), "or", "namedHas");
+});
+
+// Both listeners of the event run, in order
+var firstListenerRan = false;
+MW.on("run_twoListeners", function() {
+    firstListenerRan = true;
+});
+MW.on("run_twoListeners", function() {
+    MathWorkers.MathWorker.reduce(firstListenerRan, "and", "twoListeners");
+    firstListenerRan = false;
+});
+
+// Each worker sends a Vector to the next worker around a ring
+MW.on("run_ringExchange", function() {
+    var n = MW.getNumWorkers();
+    MW.sendToWorker((MW.getId() + 1) % n, Vector.fromArray([MW.getId(), 2.0]), "ringVector");
+});
+
+MW.on("ringVector", function(vec, meta) {
+    var n = MW.getNumWorkers();
+    var from = (MW.getId() + n - 1) % n;
+    MathWorkers.MathWorker.reduce(meta.from === from && vec.array[0] === from && vec.array[1] === 2.0,
+        "and", "ringExchange");
+});
+
+MW.on("targetedMatrix", function(mat, meta) {
+    var tot = 0.0;
+    for (var i = 0; i < mat.nrows; ++i) {
+        for (var j = 0; j < mat.ncols; ++j) {
+            tot += mat.array[i][j];
+        }
+    }
+    var v = Vector.fromArray([tot, meta.from === null ? 1.0 : 0.0, MW.getId()]);
+    MW.sendVectorToCoordinator(v, "targetedMatrix");
+});
+
+MW.on("run_requestTimeout", function() {
+    // Worker 1 never reports
+    if (MW.getId() === 0) {
+        var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+        v.workerSum("requestTimeout");
+    }
+});
+
+MW.on("run_workerExitBeforeReport", function() {
+    if (MW.getId() === 1) {
+        process.exit(3);
+    }
+    setTimeout(function() {
+        var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+        v.workerSum("workerExitBeforeReport");
+    }, 200);
+});
+
+MW.on("run_lateReport", function() {
+    // Worker 1 reports after the request has timed out
+    setTimeout(function() {
+        var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+        v.workerSum("lateReport");
+    }, MW.getId() === 1 ? 500 : 0);
+});
+
+MW.on("run_noReport", function() {
+    // Only a side effect, nothing is reported
+    MW.set("noReport", true);
+});
+
+MW.on("run_requestCancel", function() {
+    var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+    v.workerSum("requestCancel");
+});
+
+MW.on("run_workerExit", function() {
+    if (MW.getId() === 1) {
+        process.exit(3);
+    }
+    var v = Vector.fromArray([1.0, 2.0, 3.0, 4.0, 5.0]);
+    v.workerSum("workerExit");
+});
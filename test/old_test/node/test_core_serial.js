@@ -634,6 +634,22 @@ serialTests.push( function() {
     updatePasses(T);
 });
 
+serialTests.push( function() {
+    var T = new UT.Tester("base64RoundTrip");
+    var bits = new Uint32Array([
+        0x7ff80001, 0x00000001,  // NaN with payload
+        0x00000000, 0x80000000,  // -0
+        0x00000001, 0x00000000,  // smallest denormal
+        0xdc00d800, 0xdfffdbff   // lone surrogate code units in UTF-16
+    ]);
+    var copy = new Uint32Array(util.base642ab(util.ab2base64(bits.buffer)));
+    T.equal(bits.length, copy.length);
+    for (var i = 0; i < bits.length; ++i) {
+        T.equal(bits[i], copy[i]);
+    }
+    T.passed();
+    updatePasses(T);
+});
 
 serialTests.forEach( function(fn) {
     fn.call(this);